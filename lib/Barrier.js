@@ -0,0 +1,87 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var Gate = require('./Gate');
+
+/**
+ * A Barrier holds back each party that arrives at it until a given number of
+ * parties are waiting, and then lets them all through together.  The barrier
+ * closes again behind them, so it can be reused for the next round.
+ *
+ * The barrier is built on a {@link Gate}, so arriving parties behave just as
+ * requests waiting on a gate do.  A party that fails to get through, because
+ * of its `wait`, `instant` or `signal` options, stops counting towards the
+ * parties waiting.
+ * @param {Semlocks} semlocks The instance on which to build the barrier
+ * @param {string} name The name of the barrier's semaphore
+ * @param {number} parties The number of parties that must be waiting before
+ *      any are let through
+ * @constructor
+ */
+var Barrier = function(semlocks, name, parties) {
+	if (typeof parties != 'number' || parties < 1 || parties % 1)
+		throw new Error('Invalid number of parties: ' + parties);
+	this.name = name;
+	this.parties = parties;
+	this._semlocks = semlocks;
+	this._gate = new Gate(semlocks, name);
+};
+
+/**
+ * Arrives at the barrier and waits for the rest of the parties.  If this is
+ * the last party to arrive, every waiting party is let through, including
+ * this one, even if it's an `instant` request.
+ * @param {{}|function} [opts] Any options accepted by {@link Gate#wait}
+ * @param {function} [cb] A callback to be executed in the tick after the
+ *      party has been let through, or once it has failed.  It receives an
+ *      error argument.
+ * @returns {number} The handle of the party's request
+ */
+Barrier.prototype.arrive = function(opts, cb) {
+	var last = this.getWaiting() + 1 >= this.parties,
+		handle;
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
+	}
+	if (opts && opts.signal && opts.signal.aborted)
+		last = false;
+	if (last)
+		this._gate.open();
+	handle = this._gate.wait(opts, cb);
+	if (last)
+		this._gate.close();
+	return handle;
+};
+
+/**
+ * Arrives at the barrier, like {@link #arrive}, but returns a Promise rather
+ * than accepting a callback.
+ * @param {{}} [opts] Any options accepted by {@link Gate#wait}
+ * @returns {Promise} Resolves once the party has been let through, or rejects
+ *      with the error that stopped it.
+ */
+Barrier.prototype.arriveAsync = function(opts) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		self.arrive(opts, function(err) {
+			if (err)
+				reject(err);
+			else
+				resolve();
+		});
+	});
+};
+
+/**
+ * Gets the number of parties waiting at the barrier.
+ * @returns {number} The number of parties that have arrived and not yet been
+ *      let through
+ */
+Barrier.prototype.getWaiting = function() {
+	return this._semlocks.getQueue(this.name).length;
+};
+
+module.exports = Barrier;
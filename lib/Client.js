@@ -0,0 +1,818 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var util = require('util'),
+	events = require('events'),
+	net = require('net'),
+	threads = require('worker_threads'),
+	errors = require('./errors'),
+	IpcChannel = require('./IpcChannel'),
+	Lock = require('./Lock'),
+	SocketChannel = require('./SocketChannel');
+
+/**
+ * Recreates an error that was sent over a channel by the {@link Host}.
+ * Errors generated by Semlocks are restored to their original class.
+ * @param {{name: string, message: string}} obj The serialized error
+ * @returns {Error} The restored error
+ */
+var deserializeError = function(obj) {
+	var Ctor = errors.hasOwnProperty(obj.name) ? errors[obj.name] : Error,
+		err = Object.create(Ctor.prototype);
+	Error.captureStackTrace(err, deserializeError);
+	Object.keys(obj).forEach(function(key) {
+		if (key != 'name')
+			err[key] = obj[key];
+	});
+	return err;
+};
+
+/**
+ * A Client provides the same locking API as a Semlocks instance, but every
+ * request is forwarded to a {@link Host} in another process or thread.  This
+ * allows locks to be shared between processes, with the host's instance as
+ * the single authority on which locks are held.
+ *
+ * Functions that only change the host's state, such as setMaxLocks, return
+ * immediately without waiting for the host.  Functions that return a value,
+ * such as getLocks, take a callback instead.
+ *
+ * Fires 'killed' events when requests reach their TTL or miss their heartbeat
+ * on the host, and a 'close' event when the connection to the host is lost.
+ * At that point, all pending requests are called back with a
+ * {@link ConnectionError}.
+ * @param {{send: function, close: function}} channel A channel connected to
+ *      the host, such as a {@link SocketChannel}.
+ * @constructor
+ */
+var Client = function(channel) {
+	events.EventEmitter.call(this);
+	this._channel = channel;
+	this._reqs = {};
+	this._calls = {};
+	this._curId = 0;
+	this._curSeq = 0;
+	channel.on('message', this._onMessage.bind(this));
+	channel.on('close', this._onClose.bind(this));
+	channel.on('error', this.emit.bind(this, 'error'));
+};
+util.inherits(Client, events.EventEmitter);
+
+/**
+ * Connects to a {@link Host} listening on a Unix domain socket, or a named
+ * pipe on Windows.
+ * @param {string} path The path of the socket, as passed to
+ *      {@link Host#listen}.
+ * @param {function} [cb] A function to be called once the connection is made
+ * @returns {Client} A client connected to the host at the given path
+ */
+Client.connect = function(path, cb) {
+	return new Client(new SocketChannel(net.connect(path, cb)));
+};
+
+/**
+ * Connects to a {@link Host} in the parent of this worker thread or child
+ * process, such as a cluster worker.  The parent must be sharing its locks
+ * with this worker through {@link Semlocks#shareWith} or
+ * {@link Semlocks#shareWithWorkers}.
+ *
+ * Note that the client's connection keeps the worker alive until
+ * {@link Client#close} is called.  If the worker exits first, the host
+ * releases all of its locks.
+ * @returns {Client} A client connected to the parent's host
+ * @throws {Error} If this is neither a worker thread nor a child process
+ *      with an IPC channel
+ */
+Client.connectToParent = function() {
+	if (threads.parentPort)
+		return new Client(new IpcChannel(threads.parentPort));
+	if (process.send)
+		return new Client(new IpcChannel(process));
+	throw new Error('No parent process or thread to connect to');
+};
+
+/**
+ * Requests semaphore locks from the host.  This accepts the same arguments as
+ * {@link Semlocks#acquire}, with the exception of any options that cannot be
+ * represented in JSON.  The `signal` option is handled by the client itself,
+ * which cancels the request on the host when the signal is aborted.
+ * @param {string|Array|{}} sems The semaphore(s) to be locked
+ * @param {{}|function} [opts] An optional set of key/value options
+ * @param {function} [cb] A callback to be executed when all the locks are
+ *      obtained, or when they cannot be obtained.
+ * @returns {number} A handle for this request, which is only valid for this
+ *      client.
+ */
+Client.prototype.acquire = function(sems, opts, cb) {
+	var handle = this._curId++,
+		sent = {},
+		names,
+		req;
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
+	}
+	if (util.isArray(sems))
+		names = sems;
+	else if (sems && typeof sems == 'object')
+		names = Object.keys(sems);
+	else
+		names = [sems];
+	req = {cb: cb, sems: names, released: {}};
+	this._reqs[handle] = req;
+	Object.keys(opts || {}).forEach(function(key) {
+		if (key != 'signal')
+			sent[key] = opts[key];
+	});
+	if (opts && opts.signal) {
+		if (opts.signal.aborted) {
+			setImmediate(this.cancel.bind(this, handle,
+				new errors.AbortError(opts.signal.reason)));
+			return handle;
+		}
+		req.signal = opts.signal;
+		req.onAbort = function() {
+			this.cancel(handle, new errors.AbortError(req.signal.reason));
+		}.bind(this);
+		req.signal.addEventListener('abort', req.onAbort);
+	}
+	if ((sent.ttl || sent.heartbeat) && typeof AbortController == 'function')
+		req.controller = new AbortController();
+	this._channel.send({type: 'acquire', id: handle, sems: sems, opts: sent});
+	return handle;
+};
+
+/**
+ * Acquires semaphore locks from the host, returning a Promise.  See
+ * {@link Semlocks#acquireAsync}.
+ * @param {string|Array|{}} sems The semaphore(s) to be locked
+ * @param {{}} [opts] An optional set of options
+ * @returns {Promise<Lock>} Resolves with a Lock when all locks are obtained.
+ */
+Client.prototype.acquireAsync = function(sems, opts) {
+	return Lock.acquire(this, sems, opts);
+};
+
+/**
+ * Cancels a request, releasing any locks it holds on the host and removing it
+ * from the host's queues.
+ * @param {number} handle The handle of the request to be canceled
+ * @param {Error} [err] An optional error object to be passed to the request's
+ *      callback, if it hasn't already been called.
+ * @returns {boolean} true if the request was open on this client; false if
+ *      it had already finished.  Client handles are never reused.
+ */
+Client.prototype.cancel = function(handle, err) {
+	var req = this._reqs[handle];
+	if (req) {
+		delete this._reqs[handle];
+		this._unlisten(req);
+		this._channel.send({type: 'cancel', id: handle});
+		if (err && !req.called) {
+			req.called = true;
+			if (req.cb)
+				req.cb(err);
+		}
+	}
+	return !!req;
+};
+
+/**
+ * Closes the connection to the host.  The host will release every lock held
+ * by this client.
+ */
+Client.prototype.close = function() {
+	this._channel.close();
+};
+
+/**
+ * Converts exclusive locks held by a request into shared locks on the host.
+ * See {@link Semlocks#downgrade}.
+ * @param {number} handle The handle of the request holding the locks
+ * @param {string|Array<string>} [sem] A semaphore or array of semaphores to
+ *      be downgraded.  If omitted, every semaphore held is downgraded.
+ */
+Client.prototype.downgrade = function(handle, sem) {
+	if (this._reqs[handle])
+		this._channel.send({type: 'downgrade', id: handle, sems: sem});
+};
+
+/**
+ * Pushes back the TTL of a request on the host.  See
+ * {@link Semlocks#extend}.  Unlike that function, this returns nothing, as
+ * only the host knows whether the TTL was extended.
+ * @param {number} handle The handle of a granted request with a TTL
+ * @param {number} [ms] The number of milliseconds from now at which the
+ *      locks should be killed.  Defaults to the request's `ttl` option.
+ */
+Client.prototype.extend = function(handle, ms) {
+	if (this._reqs[handle])
+		this._channel.send({type: 'extend', id: handle, ms: ms});
+};
+
+/**
+ * Forcibly releases all locks for the given semaphore on the host.  See
+ * {@link Semlocks#forceRelease}.
+ * @param {string} sem The semaphore to be forcibly released
+ */
+Client.prototype.forceRelease = function(sem) {
+	this._call('forceRelease', [sem]);
+};
+
+/**
+ * Gets the host's current deadlock policy.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the policy.
+ */
+Client.prototype.getDeadlockPolicy = function(cb) {
+	this._call('getDeadlockPolicy', [], cb);
+};
+
+/**
+ * Gets whether a semaphore's queue is shared fairly between groups on the
+ * host.  See {@link Semlocks#getFairQueueing}.
+ * @param {string} sem The semaphore to be checked
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      true or false.
+ */
+Client.prototype.getFairQueueing = function(sem, cb) {
+	this._call('getFairQueueing', [sem], cb);
+};
+
+/**
+ * Gets the max locks a group can hold on a semaphore on the host.  See
+ * {@link Semlocks#getGroupMaxLocks}.
+ * @param {string} sem The semaphore whose group max should be retrieved
+ * @param {string} group The group whose max should be retrieved
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the max.
+ */
+Client.prototype.getGroupMaxLocks = function(sem, group, cb) {
+	this._call('getGroupMaxLocks', [sem, group], cb);
+};
+
+/**
+ * Gets a group's weight on the host.  See {@link Semlocks#getGroupWeight}.
+ * @param {string} group The group whose weight should be retrieved
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the weight.
+ */
+Client.prototype.getGroupWeight = function(group, cb) {
+	this._call('getGroupWeight', [group], cb);
+};
+
+/**
+ * Gets the requests holding a semaphore on the host.  See
+ * {@link Semlocks#getHolders}.  Note that the handles returned are the
+ * host's, rather than those returned by this client.
+ * @param {string} sem The semaphore whose holders should be returned
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the holders.
+ */
+Client.prototype.getHolders = function(sem, cb) {
+	this._call('getHolders', [sem], cb);
+};
+
+/**
+ * Gets the host's leak detection settings.  See
+ * {@link Semlocks#getLeakDetection}.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the settings.
+ */
+Client.prototype.getLeakDetection = function(cb) {
+	this._call('getLeakDetection', [], cb);
+};
+
+/**
+ * Gets a mapping of the semaphores currently held on the host to the number
+ * of locks held on each.  See {@link Semlocks#getLocks}.
+ * @param {boolean} [byMode=false] If true, counts are split up by lock mode
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the mapping.
+ */
+Client.prototype.getLocks = function(byMode, cb) {
+	if (typeof byMode == 'function') {
+		cb = byMode;
+		byMode = false;
+	}
+	this._call('getLocks', [byMode], cb);
+};
+
+/**
+ * Gets the max locks for a semaphore on the host.  See
+ * {@link Semlocks#getMaxLocks}.
+ * @param {string} [sem] The semaphore whose max should be retrieved.  Omit
+ *      this argument to get the default max.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the max.
+ */
+Client.prototype.getMaxLocks = function(sem, cb) {
+	if (typeof sem == 'function') {
+		cb = sem;
+		sem = undefined;
+	}
+	this._call('getMaxLocks', sem === undefined ? [] : [sem], cb);
+};
+
+/**
+ * Gets the queue limit for a semaphore on the host.  See
+ * {@link Semlocks#getMaxQueue}.
+ * @param {string} [sem] The semaphore whose queue limit should be retrieved.
+ *      Omit this argument to get the default limit.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the limit.
+ */
+Client.prototype.getMaxQueue = function(sem, cb) {
+	if (typeof sem == 'function') {
+		cb = sem;
+		sem = undefined;
+	}
+	this._call('getMaxQueue', sem === undefined ? [] : [sem], cb);
+};
+
+/**
+ * Gets the host's priority aging policy.  See
+ * {@link Semlocks#getPriorityAging}.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the policy.
+ */
+Client.prototype.getPriorityAging = function(cb) {
+	this._call('getPriorityAging', [], cb);
+};
+
+/**
+ * Gets the rate limit for a semaphore on the host.  See
+ * {@link Semlocks#getRateLimit}.
+ * @param {string} sem The semaphore whose rate limit should be retrieved
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the rate limit.
+ */
+Client.prototype.getRateLimit = function(sem, cb) {
+	this._call('getRateLimit', [sem], cb);
+};
+
+/**
+ * Gets the requests waiting for a semaphore on the host.  See
+ * {@link Semlocks#getQueue}.  Note that the handles returned are the host's,
+ * rather than those returned by this client.
+ * @param {string} sem The semaphore whose queue should be returned
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the waiting requests.
+ */
+Client.prototype.getQueue = function(sem, cb) {
+	this._call('getQueue', [sem], cb);
+};
+
+/**
+ * Gets a description of an open request on the host.  See
+ * {@link Semlocks#getRequest}.
+ * @param {number} handle The host's handle for the request, as found in the
+ *      results of {@link #getHolders}, {@link #getQueue}, or
+ *      {@link #snapshot}.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the description, or null if there's no such request.
+ */
+Client.prototype.getRequest = function(handle, cb) {
+	this._call('getRequest', [handle], cb);
+};
+
+/**
+ * Gets the host's semaphore separator.  See {@link Semlocks#getSeparator}.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the separator.
+ */
+Client.prototype.getSeparator = function(cb) {
+	this._call('getSeparator', [], cb);
+};
+
+/**
+ * Gets the statistics collected by the host.  See {@link Semlocks#getStats}.
+ * @param {string} [sem] The semaphore whose statistics should be returned
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the statistics.
+ */
+Client.prototype.getStats = function(sem, cb) {
+	if (typeof sem == 'function') {
+		cb = sem;
+		sem = undefined;
+	}
+	this._call('getStats', sem === undefined ? [] : [sem], cb);
+};
+
+/**
+ * Gets whether the host is collecting statistics.  See
+ * {@link Semlocks#getStatsEnabled}.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      true or false.
+ */
+Client.prototype.getStatsEnabled = function(cb) {
+	this._call('getStatsEnabled', [], cb);
+};
+
+/**
+ * Wakes the request that has waited longest on a semaphore's condition on
+ * the host.  See {@link Semlocks#notify}.
+ * @param {string} sem The semaphore the condition is bound to
+ * @param {string} [condition] The name of the condition
+ * @param {function} [cb] A callback receiving an error argument, followed by
+ *      the number of requests woken.
+ */
+Client.prototype.notify = function(sem, condition, cb) {
+	if (typeof condition == 'function') {
+		cb = condition;
+		condition = undefined;
+	}
+	this._call('notify', [sem, condition], cb);
+};
+
+/**
+ * Wakes every request waiting on a semaphore's condition on the host.  See
+ * {@link Semlocks#notifyAll}.
+ * @param {string} sem The semaphore the condition is bound to
+ * @param {string} [condition] The name of the condition
+ * @param {function} [cb] A callback receiving an error argument, followed by
+ *      the number of requests woken.
+ */
+Client.prototype.notifyAll = function(sem, condition, cb) {
+	if (typeof condition == 'function') {
+		cb = condition;
+		condition = undefined;
+	}
+	this._call('notifyAll', [sem, condition], cb);
+};
+
+/**
+ * Releases a held semaphore, or a set of held semaphores, back to the host.
+ * @param {number} handle The handle of a request that currently holds one or
+ *      more semaphore locks
+ * @param {string|Array<string>} [sem] A semaphore or array of semaphores to be
+ *      released.  If omitted, all semaphores belonging to the given handle
+ *      will be released.  Releasing every semaphore of a request that hasn't
+ *      been granted yet cancels it on the host.
+ * @returns {boolean} true if the request was still open on this client;
+ *      false if it had already finished.  Client handles are never reused.
+ */
+Client.prototype.release = function(handle, sem) {
+	var req = this._reqs[handle],
+		sems;
+	if (req) {
+		sems = sem ? [].concat(sem) : req.sems;
+		sems.forEach(function(name) {
+			req.released[name] = true;
+		});
+		if (req.sems.every(function(name) { return req.released[name]; })) {
+			// The host would otherwise grant it later, with nothing left here
+			// to release it
+			if (!req.called)
+				return this.cancel(handle);
+			delete this._reqs[handle];
+			this._channel.send({type: 'release', id: handle});
+		}
+		else
+			this._channel.send({type: 'release', id: handle, sems: sems});
+	}
+	return !!req;
+};
+
+/**
+ * Renews the locks held by a request on the host.  See
+ * {@link Semlocks#renew}.  Unlike that function, this returns nothing, as
+ * only the host knows whether the locks were renewed.
+ * @param {number} handle The handle of a granted request with a heartbeat or
+ *      TTL
+ */
+Client.prototype.renew = function(handle) {
+	if (this._reqs[handle])
+		this._channel.send({type: 'renew', id: handle});
+};
+
+/**
+ * Clears statistics collected by the host.  See {@link Semlocks#resetStats}.
+ * @param {string} [sem] The semaphore whose statistics should be cleared
+ */
+Client.prototype.resetStats = function(sem) {
+	this._call('resetStats', sem === undefined ? [] : [sem]);
+};
+
+/**
+ * Serializes the host's settings and open requests.  See
+ * {@link Semlocks#serialize}.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the serialized state.
+ */
+Client.prototype.serialize = function(cb) {
+	this._call('serialize', [], cb);
+};
+
+/**
+ * Sets the host's default max locks.  See
+ * {@link Semlocks#setDefaultMaxLocks}.
+ * @param {number|null} cap The new default max
+ */
+Client.prototype.setDefaultMaxLocks = function(cap) {
+	this._call('setDefaultMaxLocks', [cap]);
+};
+
+/**
+ * Sets the host's default queue limit.  See
+ * {@link Semlocks#setDefaultMaxQueue}.
+ * @param {number|null} max The new default limit
+ * @param {string} [policy='reject'] The policy applied to full queues
+ */
+Client.prototype.setDefaultMaxQueue = function(max, policy) {
+	this._call('setDefaultMaxQueue', [max, policy]);
+};
+
+/**
+ * Sets the host's deadlock policy.  See {@link Semlocks#setDeadlockPolicy}.
+ * @param {string|null} policy The new policy
+ */
+Client.prototype.setDeadlockPolicy = function(policy) {
+	this._call('setDeadlockPolicy', [policy]);
+};
+
+/**
+ * Enables or disables fair queueing for a semaphore on the host.  See
+ * {@link Semlocks#setFairQueueing}.
+ * @param {string} sem The semaphore whose queue should be shared fairly
+ * @param {boolean} enabled true to enable fair queueing; false to disable it
+ */
+Client.prototype.setFairQueueing = function(sem, enabled) {
+	this._call('setFairQueueing', [sem, enabled]);
+};
+
+/**
+ * Sets the max locks a group can hold on a semaphore on the host.  See
+ * {@link Semlocks#setGroupMaxLocks}.
+ * @param {string} sem The semaphore whose locks should be limited
+ * @param {string} group The group to be limited
+ * @param {number|null} cap The new max
+ */
+Client.prototype.setGroupMaxLocks = function(sem, group, cap) {
+	this._call('setGroupMaxLocks', [sem, group, cap]);
+};
+
+/**
+ * Sets a group's weight on the host.  See {@link Semlocks#setGroupWeight}.
+ * @param {string} group The group whose weight should be changed
+ * @param {number|null} weight The new weight
+ */
+Client.prototype.setGroupWeight = function(group, weight) {
+	this._call('setGroupWeight', [group, weight]);
+};
+
+/**
+ * Enables or disables leak detection on the host.  See
+ * {@link Semlocks#setLeakDetection}.  Leaks are reported by the host's
+ * instance.
+ * @param {{}|boolean|null} opts The new leak detection settings
+ */
+Client.prototype.setLeakDetection = function(opts) {
+	this._call('setLeakDetection', [opts]);
+};
+
+/**
+ * Sets the max locks for a semaphore on the host.  See
+ * {@link Semlocks#setMaxLocks}.
+ * @param {string} sem The semaphore whose max should be changed
+ * @param {number|null} cap The new max
+ */
+Client.prototype.setMaxLocks = function(sem, cap) {
+	this._call('setMaxLocks', [sem, cap]);
+};
+
+/**
+ * Sets the queue limit for a semaphore on the host.  See
+ * {@link Semlocks#setMaxQueue}.
+ * @param {string} sem The semaphore whose queue should be limited
+ * @param {number|null} max The new limit
+ * @param {string} [policy='reject'] The policy applied when the queue is full
+ */
+Client.prototype.setMaxQueue = function(sem, max, policy) {
+	this._call('setMaxQueue', [sem, max, policy]);
+};
+
+/**
+ * Sets the host's priority aging policy.  See
+ * {@link Semlocks#setPriorityAging}.
+ * @param {number|null} rate The number by which a waiting request's priority
+ *      drops each second, or null to disable aging
+ * @param {number} [floor=0] The lowest priority number aging can reach
+ */
+Client.prototype.setPriorityAging = function(rate, floor) {
+	this._call('setPriorityAging', [rate, floor]);
+};
+
+/**
+ * Sets the rate limit for a semaphore on the host.  See
+ * {@link Semlocks#setRateLimit}.
+ * @param {string} sem The semaphore to be limited
+ * @param {{limit: number, interval: number}|null} rate The new rate limit
+ */
+Client.prototype.setRateLimit = function(sem, rate) {
+	this._call('setRateLimit', [sem, rate]);
+};
+
+/**
+ * Sets the host's semaphore separator.  See {@link Semlocks#setSeparator}.
+ * @param {string|null} separator The new separator
+ */
+Client.prototype.setSeparator = function(separator) {
+	this._call('setSeparator', [separator]);
+};
+
+/**
+ * Enables or disables the collection of statistics on the host.  See
+ * {@link Semlocks#setStatsEnabled}.
+ * @param {boolean} enabled true to collect statistics; false to stop
+ */
+Client.prototype.setStatsEnabled = function(enabled) {
+	this._call('setStatsEnabled', [enabled]);
+};
+
+/**
+ * Gets a snapshot of the host's entire state.  See
+ * {@link Semlocks#snapshot}.  Note that the handles it contains are the
+ * host's, rather than those returned by this client.
+ * @param {function} cb A callback receiving an error argument, followed by
+ *      the snapshot.
+ */
+Client.prototype.snapshot = function(cb) {
+	this._call('snapshot', [], cb);
+};
+
+/**
+ * Converts a shared lock held by a request into an exclusive lock on the
+ * host.  See {@link Semlocks#upgrade}.
+ * @param {number} handle The handle of the request holding the lock
+ * @param {string} sem The semaphore to be upgraded
+ * @param {{}|function} [opts] An optional set of key/value options
+ * @param {function} [cb] A callback receiving an error argument once the
+ *      lock has been upgraded, or once the upgrade has failed.
+ */
+Client.prototype.upgrade = function(handle, sem, opts, cb) {
+	var seq = this._curSeq++;
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
+	}
+	// Failed upgrades without a callback are ignored, as they are locally
+	this._calls[seq] = cb || function() {};
+	this._channel.send({type: 'upgrade', id: handle, seq: seq, sem: sem,
+		opts: opts || {}});
+};
+
+/**
+ * Acquires locks from the host, calls a function, and releases the locks when
+ * that function completes.  See {@link Semlocks#using}.
+ * @param {string|Array|{}} sems The semaphore(s) to be locked
+ * @param {{}} [opts] An optional set of options
+ * @param {function} fn The function to be executed while the locks are held
+ * @returns {Promise} Resolves with the return value of fn
+ */
+Client.prototype.using = function(sems, opts, fn) {
+	return Lock.using(this, sems, opts, fn);
+};
+
+/**
+ * Releases a request's lock on the host and waits on one of the semaphore's
+ * conditions until notified, then re-acquires the lock.  See
+ * {@link Semlocks#wait}.
+ * @param {number} handle The handle of the request holding the lock
+ * @param {string} sem The semaphore to be released while waiting
+ * @param {{}|function} [opts] An optional set of key/value options
+ * @param {function} [cb] A callback receiving an error argument once the
+ *      lock has been re-acquired, or once the wait has failed.
+ */
+Client.prototype.wait = function(handle, sem, opts, cb) {
+	var seq = this._curSeq++;
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
+	}
+	this._calls[seq] = cb || function() {};
+	this._channel.send({type: 'wait', id: handle, seq: seq, sem: sem,
+		opts: opts || {}});
+};
+
+/**
+ * Calls a function on the host's Semlocks instance.
+ * @param {string} method The name of the function to call
+ * @param {Array} args The arguments to pass to it
+ * @param {function} [cb] A callback receiving an error argument, followed by
+ *      the function's return value.  If omitted, errors are emitted as
+ *      'error' events.
+ * @private
+ */
+Client.prototype._call = function(method, args, cb) {
+	var seq = this._curSeq++;
+	this._calls[seq] = cb || null;
+	this._channel.send({type: 'call', seq: seq, method: method, args: args});
+};
+
+/**
+ * Creates the release function passed to a request's callback, along with
+ * its `upgrade`, `downgrade`, `extend`, `renew`, `wait`, and `signal`
+ * properties.
+ * @param {number} handle The handle of the request that was granted
+ * @returns {function} The request's release function
+ * @private
+ */
+Client.prototype._getRelease = function(handle) {
+	var release = this.release.bind(this, handle),
+		req = this._reqs[handle];
+	release.upgrade = this.upgrade.bind(this, handle);
+	release.downgrade = this.downgrade.bind(this, handle);
+	release.extend = this.extend.bind(this, handle);
+	release.renew = this.renew.bind(this, handle);
+	release.wait = this.wait.bind(this, handle);
+	if (req.controller)
+		release.signal = req.controller.signal;
+	return release;
+};
+
+/**
+ * Fails every pending request and call once the connection to the host has
+ * been lost.
+ *
+ * Emits a 'close' event.
+ * @private
+ */
+Client.prototype._onClose = function() {
+	var reqs = this._reqs,
+		calls = this._calls;
+	this._reqs = {};
+	this._calls = {};
+	Object.keys(reqs).forEach(function(handle) {
+		this._unlisten(reqs[handle]);
+		if (!reqs[handle].called && reqs[handle].cb)
+			reqs[handle].cb(new errors.ConnectionError());
+	}, this);
+	Object.keys(calls).forEach(function(seq) {
+		if (calls[seq])
+			calls[seq](new errors.ConnectionError());
+	});
+	this.emit('close');
+};
+
+/**
+ * Handles a message sent by the host.
+ *
+ * Emits 'killed' events when a request's TTL has been reached or its
+ * heartbeat missed.
+ * @param {{type: string}} msg The message sent by the host
+ * @private
+ */
+Client.prototype._onMessage = function(msg) {
+	var req = this._reqs[msg.id],
+		cb;
+	switch (msg.type) {
+		case 'granted':
+			if (req) {
+				req.called = true;
+				this._unlisten(req);
+				if (req.cb)
+					req.cb(null, this._getRelease(msg.id));
+			}
+			break;
+		case 'failed':
+			if (req) {
+				delete this._reqs[msg.id];
+				this._unlisten(req);
+				if (!req.called && req.cb)
+					req.cb(deserializeError(msg.err));
+			}
+			break;
+		case 'killed':
+			delete this._reqs[msg.id];
+			if (req && req.controller)
+				req.controller.abort(new errors.ExpiredError());
+			this.emit('killed', msg.id, msg.sems, msg.reason);
+			break;
+		case 'result':
+			cb = this._calls[msg.seq];
+			delete this._calls[msg.seq];
+			if (cb)
+				cb(msg.err ? deserializeError(msg.err) : null, msg.result);
+			else if (msg.err)
+				this.emit('error', deserializeError(msg.err));
+			break;
+	}
+};
+
+/**
+ * Stops listening to the AbortSignal passed in a request's `signal` option,
+ * if it had one.
+ * @param {{}} req The client's record of the request
+ * @private
+ */
+Client.prototype._unlisten = function(req) {
+	if (req.signal) {
+		req.signal.removeEventListener('abort', req.onAbort);
+		req.signal = null;
+	}
+};
+
+module.exports = Client;
@@ -0,0 +1,78 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var Gate = require('./Gate');
+
+/**
+ * A CountDownLatch holds back every request that waits on it until it has
+ * been counted down a given number of times, such as once for each job in a
+ * batch, and then lets them all through.  Once the count reaches zero, it
+ * stays there, and later requests pass straight through.
+ *
+ * The latch is built on a {@link Gate}, which is opened when the count
+ * reaches zero, so waiting requests behave just as they do for a gate.
+ * @param {Semlocks} semlocks The instance on which to build the latch
+ * @param {string} name The name of the latch's semaphore
+ * @param {number} count The number of times the latch must be counted down
+ *      before requests are let through.  If 0, the latch starts open.
+ * @constructor
+ */
+var CountDownLatch = function(semlocks, name, count) {
+	if (typeof count != 'number' || count < 0 || count % 1)
+		throw new Error('Invalid count: ' + count);
+	this.name = name;
+	this._count = count;
+	this._gate = new Gate(semlocks, name, !count);
+};
+
+/**
+ * Counts the latch down, letting through every waiting request if this brings
+ * the count to zero.  Counting down a latch that's already at zero has no
+ * effect.
+ * @param {number} [n=1] The number of times to count down
+ * @returns {number} The remaining count
+ */
+CountDownLatch.prototype.countDown = function(n) {
+	if (!this._count)
+		return 0;
+	this._count = Math.max(this._count - (n === undefined ? 1 : n), 0);
+	if (!this._count)
+		this._gate.open();
+	return this._count;
+};
+
+/**
+ * Gets the number of times the latch must still be counted down before
+ * requests are let through.
+ * @returns {number} The remaining count
+ */
+CountDownLatch.prototype.getCount = function() {
+	return this._count;
+};
+
+/**
+ * Waits for the latch's count to reach zero.  See {@link Gate#wait}.
+ * @param {{}|function} [opts] Any options accepted by {@link Gate#wait}
+ * @param {function} [cb] A callback to be executed in the tick after the
+ *      request has been let through, or once it has failed.  It receives an
+ *      error argument.
+ * @returns {number} The handle of the request
+ */
+CountDownLatch.prototype.wait = function(opts, cb) {
+	return this._gate.wait(opts, cb);
+};
+
+/**
+ * Waits for the latch's count to reach zero, like {@link #wait}, but returns
+ * a Promise rather than accepting a callback.
+ * @param {{}} [opts] Any options accepted by {@link Gate#wait}
+ * @returns {Promise} Resolves once the request has been let through, or
+ *      rejects with the error that stopped it.
+ */
+CountDownLatch.prototype.waitAsync = function(opts) {
+	return this._gate.waitAsync(opts);
+};
+
+module.exports = CountDownLatch;
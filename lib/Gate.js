@@ -0,0 +1,105 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+/**
+ * A Gate holds back every request that waits on it while it's closed, and
+ * lets them all through at once when it's opened.  Requests waiting on an
+ * open gate pass straight through.
+ *
+ * The gate is built on a semaphore of a Semlocks instance, which has a max of
+ * 0 while the gate is closed and no max while it's open.  Waiting on the gate
+ * acquires a shared lock on that semaphore and releases it as soon as it's
+ * granted, so waiting requests appear in the semaphore's queue, fire the
+ * instance's lifecycle events, and honor the usual `wait`, `instant` and
+ * `signal` options.  The semaphore shouldn't be used for anything else.
+ * @param {Semlocks} semlocks The instance on which to build the gate
+ * @param {string} name The name of the gate's semaphore
+ * @param {boolean} [open=false] true to create the gate open; false to create
+ *      it closed.
+ * @constructor
+ */
+var Gate = function(semlocks, name, open) {
+	this.name = name;
+	this._semlocks = semlocks;
+	if (open)
+		this.open();
+	else
+		this.close();
+};
+
+/**
+ * Closes the gate, so that requests that wait on it are held back until it's
+ * opened again.  Requests already let through are unaffected.
+ */
+Gate.prototype.close = function() {
+	this._semlocks.setMaxLocks(this.name, 0);
+};
+
+/**
+ * Gets whether the gate is currently open.
+ * @returns {boolean} true if the gate is open; false if it's closed.
+ */
+Gate.prototype.isOpen = function() {
+	return this._semlocks.getMaxLocks(this.name) > 0;
+};
+
+/**
+ * Opens the gate, letting through every request waiting on it, and any that
+ * wait on it until it's closed again.
+ */
+Gate.prototype.open = function() {
+	this._semlocks.setMaxLocks(this.name, Infinity);
+};
+
+/**
+ * Waits for the gate to be open.
+ * @param {{}|function} [opts] Any options accepted by
+ *      {@link Semlocks#acquire}, such as `wait`, `instant`, `signal`,
+ *      `priority` and `meta`.  The `mode` option is ignored.
+ * @param {function} [cb] A callback to be executed in the tick after the
+ *      request has been let through, or once it has failed.  It receives an
+ *      error argument, which is null if the gate was open, or one of the
+ *      errors described by {@link Semlocks#acquire} otherwise.
+ * @returns {number} The handle of the request, which can be passed to
+ *      {@link Semlocks#cancel} to stop waiting.
+ */
+Gate.prototype.wait = function(opts, cb) {
+	var shared = {mode: 'shared'};
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
+	}
+	Object.keys(opts || {}).forEach(function(key) {
+		if (key != 'mode')
+			shared[key] = opts[key];
+	});
+	return this._semlocks.acquire(this.name, shared, function(err, release) {
+		if (!err)
+			release();
+		if (cb)
+			cb(err);
+	});
+};
+
+/**
+ * Waits for the gate to be open, like {@link #wait}, but returns a Promise
+ * rather than accepting a callback.
+ * @param {{}} [opts] Any options accepted by {@link #wait}
+ * @returns {Promise} Resolves once the request has been let through, or
+ *      rejects with the error that stopped it.
+ */
+Gate.prototype.waitAsync = function(opts) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		self.wait(opts, function(err) {
+			if (err)
+				reject(err);
+			else
+				resolve();
+		});
+	});
+};
+
+module.exports = Gate;
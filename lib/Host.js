@@ -0,0 +1,306 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var net = require('net'),
+	SocketChannel = require('./SocketChannel');
+
+/**
+ * The Semlocks functions that a {@link Client} is allowed to call on the
+ * host's instance, other than acquire, release and cancel.
+ * @type {Array<string>}
+ */
+const METHODS = [
+	'forceRelease',
+	'getDeadlockPolicy',
+	'getFairQueueing',
+	'getGroupMaxLocks',
+	'getGroupWeight',
+	'getHolders',
+	'getLeakDetection',
+	'getLocks',
+	'getMaxLocks',
+	'getMaxQueue',
+	'getPriorityAging',
+	'getQueue',
+	'getRateLimit',
+	'getRequest',
+	'getSeparator',
+	'getStats',
+	'getStatsEnabled',
+	'notify',
+	'notifyAll',
+	'resetStats',
+	'serialize',
+	'setDefaultMaxLocks',
+	'setDefaultMaxQueue',
+	'setDeadlockPolicy',
+	'setFairQueueing',
+	'setGroupMaxLocks',
+	'setGroupWeight',
+	'setLeakDetection',
+	'setMaxLocks',
+	'setMaxQueue',
+	'setPriorityAging',
+	'setRateLimit',
+	'setSeparator',
+	'setStatsEnabled',
+	'snapshot'
+];
+
+/**
+ * Converts an error into a plain object that can be sent over a channel.
+ * @param {Error} err The error to be converted
+ * @returns {{}} An object containing the error's name, message, and any
+ *      other enumerable properties
+ */
+var serializeError = function(err) {
+	var obj = {name: err.name, message: err.message};
+	Object.keys(err).forEach(function(key) {
+		obj[key] = err[key];
+	});
+	return obj;
+};
+
+/**
+ * A Host makes a Semlocks instance available to other processes or threads,
+ * which use a {@link Client} to acquire and release its locks.  The host's
+ * instance is the single authority on which locks are held, so the locks
+ * held through every client are coordinated with each other, and with any
+ * requests made on the instance directly.
+ *
+ * When a client's channel closes, every lock held or requested through it is
+ * canceled.
+ * @param {Semlocks} semlocks The instance whose locks should be shared
+ * @constructor
+ */
+var Host = function(semlocks) {
+	this._semlocks = semlocks;
+	this._handles = {};
+	semlocks.on('killed', this._onKilled.bind(this));
+	['released', 'canceled', 'rejected', 'timeout'].forEach(function(event) {
+		semlocks.on(event, this._onFinished.bind(this));
+	}, this);
+};
+
+/**
+ * Starts serving a client connected through the given channel.
+ * @param {{send: function, close: function}} channel A channel connected to
+ *      a {@link Client}, such as a {@link SocketChannel} or
+ *      {@link IpcChannel}.
+ */
+Host.prototype.attach = function(channel) {
+	var self = this,
+		conn = {channel: channel, requests: {}};
+	channel.on('message', function(msg) {
+		self._onMessage(conn, msg);
+	});
+	channel.on('close', function() {
+		Object.keys(conn.requests).forEach(function(id) {
+			var handle = conn.requests[id];
+			self._forget(conn, id);
+			self._semlocks.cancel(handle);
+		});
+	});
+	// Transport errors are followed by a 'close', which cleans up
+	channel.on('error', function() {});
+};
+
+/**
+ * Listens for client connections on a Unix domain socket, or a named pipe on
+ * Windows.  Each process that calls {@link Client.connect} with the same path
+ * will share this host's locks.
+ * @param {string} path The path at which to create the socket.  This must not
+ *      already exist.
+ * @param {function} [cb] A function to be called once the host is listening
+ * @returns {net.Server} The server accepting connections, which can be closed
+ *      to stop accepting new clients.
+ */
+Host.prototype.listen = function(path, cb) {
+	var self = this,
+		server = net.createServer(function(socket) {
+			self.attach(new SocketChannel(socket));
+		});
+	server.listen(path, cb);
+	return server;
+};
+
+/**
+ * Stops tracking a client's request, once it has finished.
+ * @param {{}} conn The connection through which the request was made
+ * @param {number} id The client's ID for the request
+ * @private
+ */
+Host.prototype._forget = function(conn, id) {
+	delete this._handles[conn.requests[id]];
+	delete conn.requests[id];
+};
+
+/**
+ * Handles a message sent by a client.
+ * @param {{channel: {}, requests: {}}} conn The connection that sent the
+ *      message, and a mapping of its request IDs to local handles
+ * @param {{type: string}} msg The message sent by the client
+ * @private
+ */
+Host.prototype._onMessage = function(conn, msg) {
+	var semlocks = this._semlocks,
+		handle = conn.requests[msg.id],
+		result;
+	switch (msg.type) {
+		case 'acquire':
+			this._acquire(conn, msg);
+			break;
+		case 'release':
+			if (handle !== undefined)
+				semlocks.release(handle, msg.sems);
+			break;
+		case 'cancel':
+			if (handle !== undefined)
+				semlocks.cancel(handle);
+			break;
+		case 'upgrade':
+			this._upgrade(conn, msg);
+			break;
+		case 'wait':
+			this._wait(conn, msg);
+			break;
+		case 'downgrade':
+			if (handle !== undefined)
+				semlocks.downgrade(handle, msg.sems);
+			break;
+		case 'extend':
+			if (handle !== undefined)
+				semlocks.extend(handle, msg.ms);
+			break;
+		case 'renew':
+			if (handle !== undefined)
+				semlocks.renew(handle);
+			break;
+		case 'call':
+			try {
+				if (METHODS.indexOf(msg.method) == -1)
+					throw new Error('Unknown method: ' + msg.method);
+				result = semlocks[msg.method].apply(semlocks, msg.args);
+				conn.channel.send({type: 'result', seq: msg.seq,
+					result: result});
+			}
+			catch (e) {
+				conn.channel.send({type: 'result', seq: msg.seq,
+					err: serializeError(e)});
+			}
+			break;
+	}
+};
+
+/**
+ * Acquires locks on behalf of a client, notifying it when they're granted or
+ * when they fail.
+ * @param {{channel: {}, requests: {}}} conn The connection that sent the
+ *      request
+ * @param {{id: number, sems: string|Array|{}, opts: {}}} msg The acquire
+ *      message sent by the client
+ * @private
+ */
+Host.prototype._acquire = function(conn, msg) {
+	var handle;
+	try {
+		handle = this._semlocks.acquire(msg.sems, msg.opts, function(err) {
+			if (err) {
+				conn.channel.send({type: 'failed', id: msg.id,
+					err: serializeError(err)});
+			}
+			else
+				conn.channel.send({type: 'granted', id: msg.id});
+		});
+	}
+	catch (e) {
+		return conn.channel.send({type: 'failed', id: msg.id,
+			err: serializeError(e)});
+	}
+	// Event listeners may have already finished the request
+	if (this._semlocks.getRequest(handle)) {
+		conn.requests[msg.id] = handle;
+		this._handles[handle] = {conn: conn, id: msg.id};
+	}
+};
+
+/**
+ * Upgrades a lock on behalf of a client, sending the result once the upgrade
+ * is granted or fails.
+ * @param {{channel: {}, requests: {}}} conn The connection that sent the
+ *      request
+ * @param {{id: number, seq: number, sem: string, opts: {}}} msg The upgrade
+ *      message sent by the client
+ * @private
+ */
+Host.prototype._upgrade = function(conn, msg) {
+	var handle = conn.requests[msg.id],
+		done = function(err) {
+			var reply = {type: 'result', seq: msg.seq};
+			if (err)
+				reply.err = serializeError(err);
+			conn.channel.send(reply);
+		};
+	if (handle === undefined)
+		done(new Error('Semaphore not held: ' + msg.sem));
+	else
+		this._semlocks.upgrade(handle, msg.sem, msg.opts, done);
+};
+
+/**
+ * Waits on a condition on behalf of a client, sending the result once the
+ * lock has been re-acquired or the wait fails.
+ * @param {{channel: {}, requests: {}}} conn The connection that sent the
+ *      request
+ * @param {{id: number, seq: number, sem: string, opts: {}}} msg The wait
+ *      message sent by the client
+ * @private
+ */
+Host.prototype._wait = function(conn, msg) {
+	var handle = conn.requests[msg.id],
+		done = function(err) {
+			var reply = {type: 'result', seq: msg.seq};
+			if (err)
+				reply.err = serializeError(err);
+			conn.channel.send(reply);
+		};
+	if (handle === undefined)
+		done(new Error('Semaphore not held: ' + msg.sem));
+	else
+		this._semlocks.wait(handle, msg.sem, msg.opts, done);
+};
+
+/**
+ * Stops tracking a client's request once the instance has finished it,
+ * however that came about: by releasing its last lock, by being canceled, or
+ * by failing.
+ * @param {{handle: number}} info The request's details, as passed with the
+ *      instance's lifecycle events
+ * @private
+ */
+Host.prototype._onFinished = function(info) {
+	var owner = this._handles[info.handle];
+	if (owner)
+		this._forget(owner.conn, owner.id);
+};
+
+/**
+ * Notifies a client that its request's TTL was reached or its heartbeat
+ * missed, and its locks forcibly released.
+ * @param {number} handle The handle of the request that was killed
+ * @param {Array<string>} sems The semaphores it held
+ * @param {string} reason Why it was killed: 'ttl' or 'heartbeat'
+ * @private
+ */
+Host.prototype._onKilled = function(handle, sems, reason) {
+	var owner = this._handles[handle];
+	if (owner) {
+		owner.conn.channel.send({type: 'killed', id: owner.id, sems: sems,
+			reason: reason});
+	}
+};
+
+module.exports = Host;
+module.exports.METHODS = METHODS;
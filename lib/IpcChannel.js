@@ -0,0 +1,108 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var util = require('util'),
+	events = require('events');
+
+/**
+ * The property under which Semlocks messages are wrapped, so that they can
+ * share an IPC channel or MessagePort with the application's own messages.
+ * @type {string}
+ */
+const ENVELOPE = '__semlocks';
+
+/**
+ * The events after which an IPC target can no longer deliver messages:
+ * 'disconnect' for cluster workers and child processes, 'exit' for cluster
+ * and worker_threads Workers, and 'close' for MessagePorts.
+ * @type {Array<string>}
+ */
+const CLOSE_EVENTS = ['disconnect', 'exit', 'close'];
+
+/**
+ * An IpcChannel carries messages between a {@link Host} and a {@link Client}
+ * over the built-in messaging of Node.js processes and threads.  The target
+ * can be anything that emits 'message' events and has either a `send` or a
+ * `postMessage` function: a cluster Worker, a child process, the `process`
+ * object of a child, a worker_threads Worker, or a MessagePort such as
+ * `parentPort`.
+ *
+ * Messages from the application itself are ignored, so the same target can
+ * continue to be used for anything else.
+ * @param {EventEmitter} target The process, thread, or port at the other end
+ * @constructor
+ */
+var IpcChannel = function(target) {
+	var self = this;
+	events.EventEmitter.call(this);
+	this._target = target;
+	this._closed = false;
+	this._onMessage = function(msg) {
+		if (msg && msg.hasOwnProperty(ENVELOPE)) {
+			if (msg[ENVELOPE] === null)
+				self._close();
+			else
+				self.emit('message', msg[ENVELOPE]);
+		}
+	};
+	this._close = function() {
+		if (!self._closed) {
+			self._closed = true;
+			target.removeListener('message', self._onMessage);
+			CLOSE_EVENTS.forEach(function(event) {
+				target.removeListener(event, self._close);
+			});
+			self.emit('close');
+		}
+	};
+	target.on('message', this._onMessage);
+	CLOSE_EVENTS.forEach(function(event) {
+		target.on(event, this._close);
+	}, this);
+};
+util.inherits(IpcChannel, events.EventEmitter);
+
+/**
+ * Closes this channel, notifying the other end, without closing the
+ * underlying process, thread, or port.  A 'close' event will follow.
+ */
+IpcChannel.prototype.close = function() {
+	this._post(null);
+	this._close();
+};
+
+/**
+ * Sends a message to the other end of the channel.  Messages sent after the
+ * channel has closed are dropped.
+ * @param {{}} msg A message that can be cloned or serialized by the target
+ */
+IpcChannel.prototype.send = function(msg) {
+	this._post(msg);
+};
+
+/**
+ * Wraps a message in the Semlocks envelope and delivers it to the target.
+ * @param {{}|null} msg The message to be sent, or null to signal that the
+ *      channel is closing
+ * @private
+ */
+IpcChannel.prototype._post = function(msg) {
+	var envelope = {};
+	if (this._closed)
+		return;
+	envelope[ENVELOPE] = msg;
+	try {
+		if (typeof this._target.postMessage == 'function')
+			this._target.postMessage(envelope);
+		else
+			this._target.send(envelope);
+	}
+	catch (e) {
+		this.emit('error', e);
+	}
+};
+
+module.exports = IpcChannel;
+module.exports.ENVELOPE = ENVELOPE;
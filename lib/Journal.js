@@ -0,0 +1,146 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var util = require('util'),
+	events = require('events'),
+	fs = require('fs');
+
+/**
+ * Converts the details passed with a request's lifecycle event into the
+ * fields of a journal entry.
+ * @param {{}} info The request's details, as returned by
+ *      {@link Semlocks#getRequest}
+ * @returns {{}} The fields to be journaled
+ */
+var describeRequest = function(info) {
+	var entry = {
+		handle: info.handle,
+		sems: info.sems,
+		held: info.held,
+		priority: info.priority,
+		group: info.group,
+		meta: info.meta,
+		age: info.age
+	};
+	if (info.error !== undefined)
+		entry.error = info.error ? info.error.name + ': ' + info.error.message :
+			null;
+	if (info.semaphore !== undefined)
+		entry.semaphore = info.semaphore;
+	if (info.reason !== undefined)
+		entry.reason = info.reason;
+	return entry;
+};
+
+/**
+ * The events recorded by a {@link Journal}, each mapped to a function that
+ * converts the event's arguments into the fields of its entry.  Functions are
+ * called with the Journal's Semlocks instance as `this`.
+ * @type {{}}
+ */
+const ENTRIES = {
+	acquire: function(sem, handle, mode) {
+		var req = this.getRequest(handle);
+		return {sem: sem, handle: handle, mode: mode,
+			meta: req ? req.meta : null};
+	},
+	release: function(sem, handle, mode) {
+		return {sem: sem, handle: handle, mode: mode};
+	},
+	killed: function(handle, sems, reason) {
+		return {handle: handle, sems: sems, reason: reason};
+	},
+	deadlock: function(handles, sems, victim) {
+		return {handles: handles, sems: sems, victim: victim};
+	},
+	queued: describeRequest,
+	granted: describeRequest,
+	timeout: describeRequest,
+	rejected: describeRequest,
+	canceled: describeRequest,
+	forceReleased: describeRequest,
+	leak: describeRequest,
+	capChanged: function(change) {
+		return {semaphore: change.semaphore, previous: change.previous,
+			max: change.max};
+	},
+	saturated: function(sem, max) {
+		return {sem: sem, max: max};
+	},
+	drained: function(sem) {
+		return {sem: sem};
+	}
+};
+
+/**
+ * A Journal appends a line of JSON to a file for each lock acquired and
+ * released, each request queued, granted, or failed, each suspected leak,
+ * each change to a semaphore's max, and each time a semaphore's queue fills
+ * up or drains, so that operators can see what held which semaphore before a
+ * crash.  Every entry has the `time` it was written and the `event` it
+ * records, followed by that event's details.
+ *
+ * Entries are written synchronously, so that none are lost if the process
+ * crashes, at the cost of a write for every event.  If a write fails, the
+ * journal closes itself and emits an 'error' event, if anything is listening
+ * for one.
+ * @param {Semlocks} semlocks The instance whose events should be journaled
+ * @param {string} path The path of the file to append to.  It's created if it
+ *      doesn't exist.
+ * @constructor
+ */
+var Journal = function(semlocks, path) {
+	events.EventEmitter.call(this);
+	this.path = path;
+	this._semlocks = semlocks;
+	this._fd = fs.openSync(path, 'a');
+	this._listeners = {};
+	Object.keys(ENTRIES).forEach(function(event) {
+		var self = this;
+		this._listeners[event] = function() {
+			self._write(event, ENTRIES[event].apply(semlocks, arguments));
+		};
+		semlocks.on(event, this._listeners[event]);
+	}, this);
+};
+util.inherits(Journal, events.EventEmitter);
+
+/**
+ * Stops journaling and closes the file.  Calling this more than once has no
+ * further effect.
+ */
+Journal.prototype.close = function() {
+	if (this._fd === null)
+		return;
+	Object.keys(this._listeners).forEach(function(event) {
+		this._semlocks.removeListener(event, this._listeners[event]);
+	}, this);
+	fs.closeSync(this._fd);
+	this._fd = null;
+};
+
+/**
+ * Appends an entry to the journal.
+ * @param {string} event The event being recorded
+ * @param {{}} fields The details of the event
+ * @private
+ */
+Journal.prototype._write = function(event, fields) {
+	var entry = {time: Date.now(), event: event};
+	Object.keys(fields).forEach(function(key) {
+		entry[key] = fields[key];
+	});
+	try {
+		fs.writeSync(this._fd, JSON.stringify(entry) + '\n');
+	}
+	catch (e) {
+		this.close();
+		if (this.listeners('error').length)
+			this.emit('error', e);
+	}
+};
+
+module.exports = Journal;
+module.exports.ENTRIES = ENTRIES;
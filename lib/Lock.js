@@ -0,0 +1,195 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var errors = require('./errors');
+
+/**
+ * A Lock is the promise API's equivalent of the arguments passed to an
+ * acquire callback: it identifies the request by its handle, and allows the
+ * locks it holds to be released or the entire request to be canceled.
+ * @param {Semlocks} owner The Semlocks instance that granted the locks
+ * @param {number} handle The handle of the request that holds the locks
+ * @param {function} release The release function passed to the request's
+ *      callback
+ * @constructor
+ */
+var Lock = function(owner, handle, release) {
+	this.handle = handle;
+	this.signal = release.signal || null;
+	this._owner = owner;
+	this._release = release;
+};
+
+/**
+ * Releases all currently held locks for this request if sem is not specified,
+ * or releases only the specified semaphore(s) if it is.
+ * @param {string|Array<string>} [sem] A semaphore or array of semaphores to be
+ *      released.
+ * @returns {boolean} true if any lock was released, as returned by
+ *      {@link Semlocks#release}
+ */
+Lock.prototype.release = function(sem) {
+	return this._release(sem);
+};
+
+/**
+ * Converts exclusive locks held by this request into shared locks, without
+ * releasing them.  See {@link Semlocks#downgrade}.
+ * @param {string|Array<string>} [sem] A semaphore or array of semaphores to
+ *      be downgraded.  If omitted, every semaphore held is downgraded.
+ */
+Lock.prototype.downgrade = function(sem) {
+	this._owner.downgrade(this.handle, sem);
+};
+
+/**
+ * Pushes back the TTL of this request.  See {@link Semlocks#extend}.
+ * @param {number} [ms] The number of milliseconds from now at which the
+ *      locks should be killed.  Defaults to the request's `ttl` option.
+ * @returns {boolean} true if the TTL was extended, as returned by
+ *      {@link Semlocks#extend}.  Locks acquired through a {@link Client}
+ *      return undefined, as the host doesn't report the result.
+ */
+Lock.prototype.extend = function(ms) {
+	return this._owner.extend(this.handle, ms);
+};
+
+/**
+ * Renews this request's heartbeat or TTL.  See {@link Semlocks#renew}.
+ * @returns {boolean} true if the locks were renewed, as returned by
+ *      {@link Semlocks#renew}.  Locks acquired through a {@link Client}
+ *      return undefined, as the host doesn't report the result.
+ */
+Lock.prototype.renew = function() {
+	return this._owner.renew(this.handle);
+};
+
+/**
+ * Converts a shared lock held by this request into an exclusive lock, once
+ * every other lock on the semaphore has been released.  See
+ * {@link Semlocks#upgrade}.
+ * @param {string} sem The semaphore to be upgraded
+ * @param {{}} [opts] Any options accepted by {@link Semlocks#upgrade}
+ * @returns {Promise} Resolves once the lock is exclusive, or rejects with the
+ *      error that prevented the upgrade.
+ */
+Lock.prototype.upgrade = function(sem, opts) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		self._owner.upgrade(self.handle, sem, opts, function(err) {
+			if (err)
+				reject(err);
+			else
+				resolve();
+		});
+	});
+};
+
+/**
+ * Releases this request's lock on a semaphore and waits on one of its
+ * conditions until notified, then re-acquires the lock.  See
+ * {@link Semlocks#wait}.
+ * @param {string} sem The semaphore to be released while waiting
+ * @param {{}} [opts] Any options accepted by {@link Semlocks#wait}
+ * @returns {Promise} Resolves once the lock has been re-acquired after a
+ *      notification, or rejects with the error that ended the wait.
+ */
+Lock.prototype.wait = function(sem, opts) {
+	var self = this;
+	return new Promise(function(resolve, reject) {
+		self._owner.wait(self.handle, sem, opts, function(err) {
+			if (err)
+				reject(err);
+			else
+				resolve();
+		});
+	});
+};
+
+/**
+ * Cancels this request, releasing any locks it still holds.
+ * @param {Error} [err] An optional error object.  As the request has already
+ *      been granted, this is not passed anywhere; it is accepted for parity
+ *      with {@link Semlocks#cancel}.
+ * @returns {boolean} true if the request was still open and has been
+ *      canceled; false otherwise.
+ */
+Lock.prototype.cancel = function(err) {
+	return this._owner.cancel(this.handle, err);
+};
+
+/**
+ * Requests locks from the given owner, returning a Promise that resolves with
+ * a {@link Lock} once they are all obtained, or rejects with the error that
+ * would have been passed to the callback.  The returned promise is decorated
+ * with the request's `handle` and a `cancel([err])` function, so that pending
+ * requests can be canceled without leaving the promise unsettled; if no err
+ * is given, the promise rejects with a {@link CanceledError}.
+ * @param {Semlocks} owner The instance from which to acquire the locks
+ * @param {string|Array|{}} sems The semaphore(s) to lock, as accepted by
+ *      {@link Semlocks#acquire}
+ * @param {{}} [opts] Any options accepted by {@link Semlocks#acquire}
+ * @returns {Promise<Lock>} Resolves with the Lock once it's been granted
+ */
+Lock.acquire = function(owner, sems, opts) {
+	var handle,
+		promise = new Promise(function(resolve, reject) {
+			handle = owner.acquire(sems, opts, function(err, release) {
+				if (err)
+					reject(err);
+				else
+					resolve(new Lock(owner, handle, release));
+			});
+		});
+	promise.handle = handle;
+	promise.cancel = function(err) {
+		owner.cancel(handle, err || new errors.CanceledError());
+	};
+	return promise;
+};
+
+/**
+ * Requests locks from the given owner, executes a function once they're
+ * obtained, and releases all of them once that function completes,
+ * regardless of whether it succeeds, throws, or returns a rejecting promise.
+ * The function is called inside the acquire callback itself, so anything
+ * bound to that callback's execution is visible to it.
+ * @param {Semlocks} owner The instance from which to acquire the locks
+ * @param {string|Array|{}} sems The semaphore(s) to lock, as accepted by
+ *      {@link Semlocks#acquire}
+ * @param {{}} [opts] Any options accepted by {@link Semlocks#acquire}
+ * @param {function} fn A function to be called with the {@link Lock} once it
+ *      has been granted.  It may return a value or a Promise.
+ * @returns {Promise} Resolves with the value returned by fn, or rejects with
+ *      either the acquisition error or the error thrown by fn.
+ */
+Lock.using = function(owner, sems, opts, fn) {
+	if (typeof opts == 'function') {
+		fn = opts;
+		opts = {};
+	}
+	return new Promise(function(resolve, reject) {
+		var handle = owner.acquire(sems, opts, function(err, release) {
+			var result;
+			if (err)
+				return reject(err);
+			try {
+				result = Promise.resolve(fn(new Lock(owner, handle, release)));
+			}
+			catch (e) {
+				result = Promise.reject(e);
+			}
+			result.then(function(val) {
+				release();
+				resolve(val);
+			}, function(e) {
+				release();
+				reject(e);
+			});
+		});
+	});
+};
+
+module.exports = Lock;
@@ -0,0 +1,85 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+/**
+ * A MemoryStore is a simple key/value map held in the memory of the current
+ * process.  Every store used by a backend must implement the same functions.
+ * Semlocks mutates the arrays and objects it stores in place, so a store must
+ * return the very same value that was last set for a key, rather than a copy.
+ * @constructor
+ */
+var MemoryStore = function() {
+	this._data = {};
+};
+
+/**
+ * Removes a key and its value from the store.
+ * @param {string|number} key The key to be removed
+ */
+MemoryStore.prototype.delete = function(key) {
+	delete this._data[key];
+};
+
+/**
+ * Gets the value stored for a key.
+ * @param {string|number} key The key whose value should be retrieved
+ * @returns {*} The stored value, or undefined if the key is not set.
+ */
+MemoryStore.prototype.get = function(key) {
+	return this._data.hasOwnProperty(key) ? this._data[key] : undefined;
+};
+
+/**
+ * Determines whether a value is stored for a key.
+ * @param {string|number} key The key to be checked
+ * @returns {boolean} true if the key is set; false otherwise.
+ */
+MemoryStore.prototype.has = function(key) {
+	return this._data.hasOwnProperty(key);
+};
+
+/**
+ * Gets all of the keys currently set in the store.  Note that keys are
+ * always returned as strings.
+ * @returns {Array<string>} An array of keys
+ */
+MemoryStore.prototype.keys = function() {
+	return Object.keys(this._data);
+};
+
+/**
+ * Stores a value for a key, replacing any value already stored for it.
+ * @param {string|number} key The key to be set
+ * @param {*} value The value to be stored
+ */
+MemoryStore.prototype.set = function(key, value) {
+	this._data[key] = value;
+};
+
+/**
+ * The MemoryBackend is the default storage backend for a Semlocks instance.
+ * A backend holds an instance's core state in four stores, each of which
+ * implements the functions of {@link MemoryStore}:
+ *      - holders: Maps semaphore names to arrays of the handles holding them
+ *      - queues: Maps semaphore names to arrays of waiting handles, in order
+ *      - caps: Maps semaphore names to their explicitly set max locks
+ *      - requests: Maps handles to the objects describing their requests
+ * Requests hold callbacks and timers, and every stored value is updated in
+ * place, so a backend must keep its state in the memory of the current
+ * process.  Backends can't share locks between processes; use a
+ * {@link Host} and {@link Client} for that.  Other settings, such as
+ * conditions, upgrades, rate limits, fair queueing and group caps, are kept
+ * by the instance itself.
+ * @constructor
+ */
+var MemoryBackend = function() {
+	this.holders = new MemoryStore();
+	this.queues = new MemoryStore();
+	this.caps = new MemoryStore();
+	this.requests = new MemoryStore();
+};
+
+module.exports = MemoryBackend;
+module.exports.MemoryStore = MemoryStore;
@@ -16,98 +16,446 @@
  */
 const HANDLE_LIMIT = 4294967295;
 
+/**
+ * The policies that can be passed to {@link Semlocks#setDeadlockPolicy}.
+ * @type {Array<string>}
+ */
+const DEADLOCK_POLICIES = ['emit', 'youngest', 'lowestPriority'];
+
+/**
+ * The version of the format produced by {@link Semlocks#serialize}.  States
+ * in any other format are rejected by {@link Semlocks#restore}.
+ * @type {number}
+ */
+const STATE_VERSION = 1;
+
+/**
+ * The modes in which a lock can be requested.  Shared locks count against a
+ * semaphore's max and can be held alongside other shared locks, while an
+ * exclusive lock can only be held when nothing else holds the semaphore.
+ * @type {Array<string>}
+ */
+const LOCK_MODES = ['shared', 'exclusive'];
+
+/**
+ * The policies that can be passed to {@link Semlocks#setMaxQueue}, deciding
+ * which request fails when a semaphore's queue is full.
+ * @type {Array<string>}
+ */
+const QUEUE_POLICIES = ['reject', 'dropLowestPriority', 'dropOldest'];
+
 var util = require('util'),
-	events = require('events');
+	events = require('events'),
+	asyncHooks = require('async_hooks'),
+	cluster = require('cluster'),
+	threads = require('worker_threads'),
+	errors = require('./errors'),
+	Barrier = require('./Barrier'),
+	Client = require('./Client'),
+	CountDownLatch = require('./CountDownLatch'),
+	Gate = require('./Gate'),
+	Host = require('./Host'),
+	IpcChannel = require('./IpcChannel'),
+	Journal = require('./Journal'),
+	Lock = require('./Lock'),
+	MemoryBackend = require('./MemoryBackend'),
+	Stats = require('./Stats'),
+	toPrometheus = require('./prometheus'),
+	registry = {},
+	sharedClient = null;
+
+/**
+ * Captures the current stack trace for leak detection, leaving out the frames
+ * inside Semlocks itself so that the trace starts in the application's code.
+ * @returns {string} The stack frames, one per line
+ */
+var captureStack = function() {
+	var limit = Error.stackTraceLimit,
+		stack;
+	// Leave room for the frames that are about to be dropped
+	Error.stackTraceLimit = limit + 20;
+	stack = new Error().stack;
+	Error.stackTraceLimit = limit;
+	return stack.split('\n').slice(1).filter(function(line) {
+		return line.indexOf(__dirname) == -1;
+	}).join('\n');
+};
+
+/**
+ * Converts a max into a form that survives being serialized to JSON, which
+ * would otherwise turn a max of Infinity into null.
+ * @param {number} max The max to be serialized
+ * @returns {number|string} The max, or 'Infinity' if it's unlimited
+ */
+var encodeMax = function(max) {
+	return max === Infinity ? 'Infinity' : max;
+};
+
+/**
+ * Converts a max produced by {@link encodeMax} back into a number.
+ * @param {number|string} max The serialized max
+ * @returns {number} The max
+ */
+var decodeMax = function(max) {
+	return max === 'Infinity' ? Infinity : max;
+};
+
+/**
+ * Converts a queue limit into a form that survives being serialized to JSON.
+ * @param {{max: number, policy: string}|null} limit The queue limit, as
+ *      returned by {@link Semlocks#getMaxQueue}
+ * @returns {{max: number|string, policy: string}|null} The limit, with its
+ *      max converted by {@link encodeMax}
+ */
+var encodeQueueLimit = function(limit) {
+	return limit && {max: encodeMax(limit.max), policy: limit.policy};
+};
 
 /**
  * Semlocks manages mutex and shared locks within a single Node.js process.
  * Each new instance manages semaphores totally independently of any other
- * instance.
+ * instance.  To share an instance's locks with other processes or threads,
+ * see {@link #listen}, {@link #shareWith}, and {@link #shareWithWorkers}.
+ * @param {{}} [opts] An optional set of key/value options.  They are:
+ * @param {{}} [opts.backend] The storage backend in which this instance
+ *      should keep its state.  See {@link MemoryBackend} for the interface a
+ *      backend must implement; backends can't share state between
+ *      processes.  Default is a new MemoryBackend.
+ * @param {number} [opts.defaultMaxLocks=1] The default max locks for each
+ *      semaphore, as set by {@link #setDefaultMaxLocks}.
+ * @param {{}} [opts.maxLocks] An object mapping semaphore names to their max
+ *      locks, as set by {@link #setMaxLocks}.
+ * @param {{max: number, policy: string}} [opts.defaultMaxQueue] The default
+ *      queue limit for each semaphore, as set by {@link #setDefaultMaxQueue}.
+ *      Default is no limit.
+ * @param {{}} [opts.maxQueue] An object mapping semaphore names to their queue
+ *      limits, each with a `max` and `policy`, as set by {@link #setMaxQueue}.
+ * @param {number} [opts.priority=2] The priority given to requests that
+ *      don't specify one.
+ * @param {number|null} [opts.wait=null] The `wait` option given to requests
+ *      that don't specify one.  Requests can still pass a `wait` of null to
+ *      wait indefinitely.
+ * @param {number|null} [opts.ttl=null] The `ttl` option given to requests
+ *      that don't specify one.  Requests can still pass a `ttl` of null to
+ *      hold their locks indefinitely.
+ * @param {string} [opts.deadlockPolicy] The deadlock policy, as set by
+ *      {@link #setDeadlockPolicy}.  Default is no deadlock detection.
+ * @param {{rate: number, floor: number}} [opts.priorityAging] The priority
+ *      aging policy, as set by {@link #setPriorityAging}.  Default is no
+ *      aging.
+ * @param {number} [opts.handleLimit=HANDLE_LIMIT] The number at which
+ *      request handles wrap around to 0 and are reused.
+ * @param {boolean} [opts.uniqueHandles=false] If true, request handles are
+ *      never reused, and the handle limit is ignored.  A handle that's
+ *      released or canceled after its request has finished can then never
+ *      affect a later request, and {@link #release} and {@link #cancel}
+ *      reliably return false for it.
+ * @param {string} [opts.journal] The path of a file to journal this
+ *      instance's activity to, as set by {@link #setJournal}.  Default is no
+ *      journal.
+ * @param {{}|boolean} [opts.leakDetection] Leak detection settings, as set by
+ *      {@link #setLeakDetection}.  Default is no leak detection.
  * @constructor
  */
-var Semlocks = function() {
-	this._reqs = {};
-	this._semQueues = {};
-	this._sems = {};
-	this._semCaps = {};
+var Semlocks = function(opts) {
+	var backend = (opts && opts.backend) || new MemoryBackend();
+	if (!opts)
+		opts = {};
+	if (opts.hasOwnProperty('handleLimit') &&
+			!(Math.floor(opts.handleLimit) === opts.handleLimit &&
+			opts.handleLimit > 0))
+		throw new Error('Invalid handle limit: ' + opts.handleLimit);
+	this._reqs = backend.requests;
+	this._semQueues = backend.queues;
+	this._sems = backend.holders;
+	this._semCaps = backend.caps;
 	this._curId = 0;
+	this._handleLimit = opts.handleLimit || HANDLE_LIMIT;
+	this._uniqueHandles = !!opts.uniqueHandles;
+	this._defaults = {
+		priority: opts.hasOwnProperty('priority') ? opts.priority : 2,
+		wait: opts.hasOwnProperty('wait') ? opts.wait : null,
+		ttl: opts.hasOwnProperty('ttl') ? opts.ttl : null
+	};
 	this._defaultCap = 1;
+	this._deadlockPolicy = null;
+	this._queueLimits = {};
+	this._defaultQueueLimit = null;
+	this._saturated = {};
+	this._separator = null;
+	this._aging = null;
+	this._fair = {};
+	this._groupCaps = {};
+	this._groupWeights = {};
+	this._upgrades = {};
+	this._conditions = {};
+	this._rateLimits = {};
+	this._context = null;
+	this._stats = null;
+	this._host = null;
+	this._journal = null;
+	this._leaks = null;
+	this._sharingWorkers = false;
+	if (opts.journal)
+		this.setJournal(opts.journal);
+	if (opts.leakDetection)
+		this.setLeakDetection(opts.leakDetection);
+	if (opts.hasOwnProperty('defaultMaxLocks'))
+		this.setDefaultMaxLocks(opts.defaultMaxLocks);
+	if (opts.maxLocks) {
+		Object.keys(opts.maxLocks).forEach(function(sem) {
+			this.setMaxLocks(sem, opts.maxLocks[sem]);
+		}, this);
+	}
+	if (opts.defaultMaxQueue) {
+		this.setDefaultMaxQueue(opts.defaultMaxQueue.max,
+			opts.defaultMaxQueue.policy);
+	}
+	if (opts.maxQueue) {
+		Object.keys(opts.maxQueue).forEach(function(sem) {
+			this.setMaxQueue(sem, opts.maxQueue[sem].max,
+				opts.maxQueue[sem].policy);
+		}, this);
+	}
+	if (opts.deadlockPolicy)
+		this.setDeadlockPolicy(opts.deadlockPolicy);
+	if (opts.priorityAging) {
+		this.setPriorityAging(opts.priorityAging.rate,
+			opts.priorityAging.floor);
+	}
 };
 util.inherits(Semlocks, events.EventEmitter);
 
+/**
+ * Gets the instance registered under the given name, creating it the first
+ * time that name is used.  Independent libraries in the same process can
+ * share locks by getting the same name, or keep their locks apart by using
+ * names of their own, without having to pass an instance between them.
+ * @param {string} name The name of the instance
+ * @param {{}} [opts] The options with which to create the instance, as
+ *      accepted by the Semlocks constructor.  These are ignored if an
+ *      instance with this name already exists.
+ * @returns {Semlocks} The instance registered under the given name
+ */
+Semlocks.get = function(name, opts) {
+	if (typeof name != 'string' || !name)
+		throw new Error('Invalid instance name: ' + name);
+	if (!registry.hasOwnProperty(name))
+		registry[name] = new Semlocks(opts);
+	return registry[name];
+};
+
 /**
  * Acquires semaphore locks and calls a callback when they are obtained.  Note
  * that the callback is called in the tick immediately following the tick in
  * which the last semaphore was locked, in order to ensure the handle is
  * returned and available when the callback executes.
- * @param {string|Array} sems The semaphore, or array of semaphores, to be
- *      locked before calling the callback.
+ * @param {string|Array|{}} sems The semaphore, or array of semaphores, to be
+ *      locked before calling the callback.  To take more than one of a
+ *      semaphore's available locks, pass an object mapping each semaphore
+ *      name to the number of locks (its weight) to be taken from it.
  * @param {{}|function} [opts] An optional set of key/value options.  They are:
  * @param {number} [opts.wait=null] The number of milliseconds to wait for a
  *      lock.  If this time limit is reached and the locks have not all been
  *      obtained, the callback is executed with an error argument.  Default is
- *      unbounded.
+ *      the instance's `wait` option, which is unbounded unless set.
  * @param {number} [opts.ttl=null] The 'time-to-live': a number of milliseconds
  *      that a callback can take to release all its locks before they are
  *      forcibly released and a 'killed' event is fired.  Note that this does
- *      not halt the execution of the callback.  Default is unbounded.
+ *      not halt the execution of the callback.  The TTL can be pushed back
+ *      with {@link #extend}.  Default is the instance's `ttl` option, which
+ *      is unbounded unless set.
+ * @param {number} [opts.heartbeat=null] A number of milliseconds within which
+ *      the holder must renew its locks with {@link #renew}, over and over,
+ *      for as long as it holds them.  If it goes this long without renewing,
+ *      its locks are forcibly released and a 'killed' event is fired, just as
+ *      they are for the `ttl` option.  Default is no heartbeat.
  * @param {boolean} [opts.instant=false] If true, the callback will be called
  *      with an error argument if the locks cannot be immediately obtained.
  * @param {number} [opts.priority=2] The priority of this request.  Locks
  *      are awarded in priority order, with lower values coming first and
  *      higher values coming only after lower values have been serviced.  Equal
  *      priorities are awarded in the order in which they were requested.
+ *      Default is the instance's `priority` option, which is 2 unless set.
+ * @param {boolean} [opts.atomic=false] If true, no semaphore will be locked
+ *      for this request until every one of them can be locked at the same
+ *      time.  Otherwise, each semaphore is locked as soon as it becomes
+ *      available and held while the request waits for the others, which can
+ *      deadlock against requests that lock the same semaphores in a
+ *      different order.
+ * @param {string} [opts.mode='shared'] Either 'shared' or 'exclusive'.  Shared
+ *      locks can be held simultaneously by as many requests as the
+ *      semaphore's max allows.  Exclusive locks are only granted once every
+ *      other lock on the semaphore has been released, and nothing else is
+ *      granted the semaphore until it's released.  Requests are granted in
+ *      order, so an exclusive request that's waiting for shared locks to be
+ *      released also holds back any shared requests queued behind it.
+ * @param {string} [opts.group=null] The group, such as a tenant, on whose
+ *      behalf the locks are requested.  Groups can be given a fair share of a
+ *      semaphore with {@link #setFairQueueing}, and limited to a number of
+ *      its locks with {@link #setGroupMaxLocks}.
+ * @param {AbortSignal} [opts.signal] A signal that cancels the request if
+ *      it's aborted before the locks are all obtained.  Any locks already
+ *      obtained are released, and the callback is executed with an
+ *      {@link AbortError} carrying the signal's reason.  Aborting the signal
+ *      after the callback has been called has no effect.
+ * @param {*} [opts.meta] Any value, such as an object of labels, that
+ *      describes the request.  It's included in the request's lifecycle
+ *      events and in {@link #getRequest}, but is otherwise ignored.
  * @param {function} [cb] A callback to be executed when all the locks are
- *      obtained, or when the locks cannot be obtained due to the `wait` or
- *      `instant` options above.  The callback is called in the tick
- *      immediately after the acquisition of the last semaphore, with the
+ *      obtained, or when the locks cannot be obtained due to the `wait`,
+ *      `instant`, or `signal` options above.  The callback is called in the
+ *      tick immediately after the acquisition of the last semaphore, with the
  *      following arguments:
  *          - {Error|null} err: An error object, if locks could not be obtained
- *            due to the `wait` or `instant` options.
+ *            due to the `wait`, `instant`, or `signal` options.  These are
+ *            instances of {@link TimeoutError}, {@link InstantError}, and
+ *            {@link AbortError} respectively.  A request turned away by a
+ *            full queue is passed a {@link QueueFullError}; see
+ *            {@link #setMaxQueue}.  A request whose weight for a semaphore
+ *            is more than that semaphore's max is passed a
+ *            {@link WeightError}.
  *          - {function} release([sem]): Releases all currently held locks for
  *            this request if sem is not specified, or releases only the
  *            specified semaphore if that argument is provided.  The sem
  *            argument can also be an array of semaphore names to be released.
+ *            Its `upgrade(sem, [opts], [cb])` and `downgrade([sem])`
+ *            properties change the mode of the locks held, as
+ *            {@link #upgrade} and {@link #downgrade} do for this handle, and
+ *            its `extend([ms])`, `renew()`, and `wait(sem, [opts], [cb])`
+ *            properties call {@link #extend}, {@link #renew}, and
+ *            {@link #wait}.  If the request has a TTL or
+ *            heartbeat, its `signal` property is an AbortSignal that's
+ *            aborted with an {@link ExpiredError} if its locks are killed, so
+ *            that the work done under them can stop.
+ *
+ * Emits a 'queued' event if the request has to wait for its locks, and a
+ * 'granted' event when its callback is called.  See {@link #getRequest} for
+ * the details passed with each event.
  * @returns {number} A handle allowing this request to be forcibly canceled by
  *      the {@link #cancel} function.
  */
 Semlocks.prototype.acquire = function(sems, opts, cb) {
-	var self = this,
-		handle = this._getNextHandle(),
-		noninstant = false;
+	var handle = this._getNextHandle(),
+		weights = null,
+		wait,
+		req;
 	if (typeof opts == 'function') {
 		cb = opts;
 		opts = {};
 	}
 	if (!opts)
 		opts = {};
-	if (!util.isArray(sems))
+	if (sems && typeof sems == 'object' && !util.isArray(sems)) {
+		weights = sems;
+		sems = Object.keys(weights);
+		sems.forEach(function(sem) {
+			if (!(weights[sem] > 0))
+				throw new Error('Invalid weight for semaphore: ' + sem);
+		});
+	}
+	else if (!util.isArray(sems))
 		sems = [sems];
-	this._reqs[handle] = {
+	if (opts.mode && LOCK_MODES.indexOf(opts.mode) == -1)
+		throw new Error('Unknown lock mode: ' + opts.mode);
+	if (opts.group !== undefined && opts.group !== null &&
+			(typeof opts.group != 'string' || !opts.group))
+		throw new Error('Invalid group: ' + opts.group);
+	req = {
 		remain: sems.length,
 		released: 0,
 		sems: sems,
-		ttl: opts.ttl,
-		priority: opts.hasOwnProperty('priority') ? opts.priority : 2,
+		weights: weights,
+		ttl: opts.hasOwnProperty('ttl') ? opts.ttl : this._defaults.ttl,
+		heartbeat: opts.heartbeat,
+		priority: opts.hasOwnProperty('priority') ? opts.priority :
+			this._defaults.priority,
+		atomic: !!opts.atomic,
+		mode: opts.mode || 'shared',
+		group: opts.group || null,
+		meta: opts.meta === undefined ? null : opts.meta,
+		created: Date.now(),
 		cb: cb
 	};
+	if (this._context) {
+		req.cb = this._bindContext(handle, cb);
+		this._addNested(handle, req);
+	}
+	if (this._leaks) {
+		req.trace = {acquiredAt: req.created, acquireStack: captureStack(),
+			grantedAt: null, grantStack: null};
+	}
+	this._reqs.set(handle, req);
+	if (this._stats) {
+		sems.forEach(function(sem) {
+			this._stats.increment(sem, 'requests');
+		}, this);
+	}
+	if (opts.signal) {
+		if (opts.signal.aborted) {
+			this._reject(handle, new errors.AbortError(opts.signal.reason));
+			return handle;
+		}
+		req.signal = opts.signal;
+		req.onAbort = function() {
+			this._cancel(handle, new errors.AbortError(req.signal.reason),
+				'rejected');
+		}.bind(this);
+		req.signal.addEventListener('abort', req.onAbort);
+	}
 	sems.forEach(function(sem) {
-		if (!self._requestLock(handle, sem))
-			noninstant = true;
-	});
-	if (noninstant && opts.instant) {
-		this._reqs[handle].remain = 0;
-		setImmediate(this.cancel.bind(this, handle,
-			new Error('Could not acquire all locks instantly')));
+		var owner;
+		// Event listeners may have already canceled this request, and a full
+		// queue may have rejected it
+		if (this._reqs.get(handle) !== req || !req.remain)
+			return;
+		owner = this._getReentrantOwner(sem, req.mode);
+		if (owner !== null)
+			this._reenter(handle, sem, owner);
+		else if (this._isOverweight(handle, sem))
+			this._reject(handle, new errors.WeightError(sem));
+		else if (!this._requestLock(handle, sem))
+			this._overflowQueue(sem, handle);
+	}, this);
+	if (this._reqs.get(handle) !== req || !req.remain)
+		return handle;
+	if (opts.instant) {
+		this._countWaiting(handle, 'instantFailures');
+		this._reject(handle, new errors.InstantError());
 	}
-	else if (opts.hasOwnProperty('wait') && opts.wait !== null) {
-		this._reqs[handle].timeout = setTimeout(this.cancel.bind(this, handle,
-			new Error('Failed to acquire all locks within allotted time')),
-			opts.wait);
+	else {
+		wait = opts.hasOwnProperty('wait') ? opts.wait : this._defaults.wait;
+		if (wait !== null && wait !== undefined) {
+			req.waitDeadline = Date.now() + wait;
+			req.timeout = setTimeout(this._timeout.bind(this, handle,
+				new errors.TimeoutError()), wait);
+		}
 	}
+	if (this._reqs.get(handle) === req && req.remain)
+		this._emitRequest('queued', handle);
 	return handle;
 };
 
+/**
+ * Acquires semaphore locks, returning a Promise rather than accepting a
+ * callback.  The promise resolves with a {@link Lock} object exposing the
+ * request's `handle` along with `release([sem])` and `cancel([err])`
+ * functions, or rejects with a {@link TimeoutError} or {@link InstantError}
+ * if the `wait` or `instant` options could not be satisfied.
+ *
+ * The returned promise also carries the `handle` and a `cancel([err])`
+ * function, so that requests can be canceled before they're granted.  Doing
+ * so rejects the promise with the given error, or a {@link CanceledError}.
+ * @param {string|Array|{}} sems The semaphore(s) to be locked, as accepted
+ *      by {@link #acquire}.
+ * @param {{}} [opts] An optional set of options, as accepted by
+ *      {@link #acquire}.
+ * @returns {Promise<Lock>} Resolves with a Lock when all locks are obtained.
+ */
+Semlocks.prototype.acquireAsync = function(sems, opts) {
+	return Lock.acquire(this, sems, opts);
+};
+
 /**
  * Cancels any currently open semaphore request by releasing any locks that the
  * request currently holds as well as deleting that request from any semaphore
@@ -117,60 +465,206 @@ Semlocks.prototype.acquire = function(sems, opts, cb) {
  *      callback function, if and only if the callback function has not already
  *      been called.  If omitted, canceling won't trigger the callback to be
  *      called in any case.
+ *
+ * Emits a 'canceled' event with the request's details, as described by
+ * {@link #getRequest}, and the `error` it was canceled with, if any.
+ * @returns {boolean} true if the request was open and has been canceled;
+ *      false if there's no open request with the given handle.
  */
 Semlocks.prototype.cancel = function(handle, err) {
-	var self = this,
-		req = this._reqs[handle];
-	if (req) {
-		req.sems.forEach(function(sem) {
-			self._release(handle, sem);
-			// Remove this handle from any waiting queues it's in
-			if (self._semQueues[sem]) {
-				self._semQueues[sem] = self._semQueues[sem].filter(
-					function(i) { return i != handle; });
-			}
-		});
-		if (err && !req.called) {
-			req.called = true;
-			if (req.cb)
-				req.cb(err);
+	return this._cancel(handle, err, 'canceled');
+};
+
+/**
+ * Converts exclusive locks held by a request into shared locks, without
+ * releasing them.  Any shared requests that were waiting for the exclusive
+ * lock to be released are granted the semaphore immediately, as far as its
+ * max allows.  Semaphores that the request doesn't hold exclusively are
+ * ignored.
+ *
+ * Emits 'release' and 'acquire' events for each converted lock; see
+ * {@link #upgrade}.
+ * @param {number} handle The handle of a request holding exclusive locks
+ * @param {string|Array<string>} [sem] A semaphore or array of semaphores to
+ *      be downgraded.  If omitted, every semaphore held by the request is
+ *      downgraded.
+ */
+Semlocks.prototype.downgrade = function(handle, sem) {
+	if (!this._reqs.has(handle))
+		return;
+	if (!sem)
+		sem = this._reqs.get(handle).sems;
+	if (!util.isArray(sem))
+		sem = [sem];
+	sem.forEach(function(held) {
+		if (this._holds(handle, held) &&
+				this._getMode(handle, held) == 'exclusive') {
+			this._convert(handle, held, 'shared');
+			this._grantEmptySlots(held);
+			this._grantRelated(held);
 		}
-		delete this._reqs[handle];
-	}
+	}, this);
+};
+
+/**
+ * Pushes back the TTL of a request that has been granted its locks, so that
+ * they're killed a number of milliseconds from now rather than when the
+ * original TTL runs out.
+ * @param {number} handle The handle of a granted request with a TTL
+ * @param {number} [ms] The number of milliseconds from now at which the
+ *      locks should be killed.  Defaults to the request's `ttl` option.
+ * @returns {boolean} true if the TTL was extended; false if the request
+ *      doesn't exist, hasn't been granted, or has no TTL.
+ */
+Semlocks.prototype.extend = function(handle, ms) {
+	var req = this._reqs.get(handle);
+	if (!req || !req.ttlTimer)
+		return false;
+	this._setLease(handle, 'ttl', ms === undefined ? req.ttl : ms);
+	return true;
 };
 
 /**
  * Forcibly releases all locks for the given semaphore by cycling through all
  * handles currently holding a lock and calling {@link #release} for each.
+ * Weighted requests release every lock they held on the semaphore at once.
  * Note that, at the end of the call, the lock may be held by other requests
  * that were waiting for this semaphore.  To prevent the lock from being held
  * again, call {@link #setMaxLocks} to set the available locks to 0 first.
+ *
+ * Emits a 'forceReleased' event for each request that held the semaphore,
+ * with its details as described by {@link #getRequest}, and the `semaphore`
+ * it lost.
  * @param {string} sem A string representing the semaphore to be forcibly
  *      released
  */
 Semlocks.prototype.forceRelease = function(sem) {
-	if (this._sems[sem]) {
+	if (this._sems.has(sem)) {
 		// Quick clone of current locks
-		var sems = this._sems[sem].map(function(i) { return i; });
+		var sems = this._sems.get(sem).map(function(i) { return i; });
 		sems.forEach(function(handle) {
+			var info = this._getEventInfo('forceReleased', handle);
 			this.release(handle, sem);
+			if (info) {
+				info.semaphore = sem;
+				this.emit('forceReleased', info);
+			}
 		}, this);
 	}
 };
 
+/**
+ * Gets the policy currently used to handle deadlocks, as set by
+ * {@link #setDeadlockPolicy}.
+ * @returns {string|null} The current policy, or null if deadlock detection is
+ *      disabled.
+ */
+Semlocks.prototype.getDeadlockPolicy = function() {
+	return this._deadlockPolicy;
+};
+
+/**
+ * Gets whether a semaphore's queue is shared fairly between groups, as set by
+ * {@link #setFairQueueing}.
+ * @param {string} sem The semaphore to be checked
+ * @returns {boolean} true if fair queueing is enabled for the semaphore;
+ *      false otherwise.
+ */
+Semlocks.prototype.getFairQueueing = function(sem) {
+	return this._fair.hasOwnProperty(sem);
+};
+
+/**
+ * Gets the max locks a group can hold on a semaphore, as set by
+ * {@link #setGroupMaxLocks}.
+ * @param {string} sem The semaphore whose group max should be retrieved
+ * @param {string} group The group whose max should be retrieved
+ * @returns {number|null} The group's max, or null if it's only limited by
+ *      the semaphore's own max.
+ */
+Semlocks.prototype.getGroupMaxLocks = function(sem, group) {
+	var caps = this._groupCaps.hasOwnProperty(sem) ? this._groupCaps[sem] : {};
+	return caps.hasOwnProperty(group) ? caps[group] : null;
+};
+
+/**
+ * Gets a group's share of the semaphores with fair queueing, as set by
+ * {@link #setGroupWeight}.
+ * @param {string} group The group whose weight should be retrieved
+ * @returns {number} The group's weight
+ */
+Semlocks.prototype.getGroupWeight = function(group) {
+	return this._groupWeights.hasOwnProperty(group) ?
+		this._groupWeights[group] : 1;
+};
+
+/**
+ * Gets the requests currently holding locks on a semaphore, in the order
+ * they were granted.
+ * @param {string} sem The semaphore whose holders should be returned
+ * @returns {Array<{handle: number, mode: string, group: string|null,
+ *      weight: number}>} The handle of each request holding the semaphore,
+ *      along with the mode in which it holds it, its group, and the number of
+ *      locks it took.
+ */
+Semlocks.prototype.getHolders = function(sem) {
+	return (this._sems.get(sem) || []).map(function(handle) {
+		var req = this._reqs.get(handle);
+		return {
+			handle: handle,
+			mode: this._getMode(handle, sem),
+			group: req.group,
+			weight: this._getWeight(handle, sem)
+		};
+	}, this);
+};
+
+/**
+ * Gets the journal this instance's activity is being written to, as set by
+ * {@link #setJournal}.
+ * @returns {Journal|null} The current journal, or null if there isn't one.
+ */
+Semlocks.prototype.getJournal = function() {
+	return this._journal;
+};
+
+/**
+ * Gets the current leak detection settings, as set by
+ * {@link #setLeakDetection}.
+ * @returns {{threshold: number|null, strict: boolean, console: boolean}|null}
+ *      The leak detection settings, or null if leak detection is disabled.
+ */
+Semlocks.prototype.getLeakDetection = function() {
+	var leaks = this._leaks;
+	return leaks ? {threshold: leaks.threshold, strict: leaks.strict,
+		console: leaks.console} : null;
+};
+
 /**
  * Gets a mapping of all currently held semaphore names to the number of
- * currently held locks on that semaphore.  Note that this object is a snapshot
- * only, and will not auto-update as more locks are acquired and released.
+ * currently held locks on that semaphore.  Requests that were made with
+ * weights count as the number of locks they took.  Note that this object is a
+ * snapshot only, and will not auto-update as more locks are acquired and
+ * released.
+ * @param {boolean} [byMode=false] If true, each semaphore is mapped to an
+ *      object containing the number of 'shared' and 'exclusive' locks held on
+ *      it, rather than the total.
  * @returns {{}} An object mapping semaphore names to the number of currently
  *      held locks.
  */
-Semlocks.prototype.getLocks = function() {
+Semlocks.prototype.getLocks = function(byMode) {
 	var sems = {};
-	for (var sem in this._sems) {
-		if (this._sems.hasOwnProperty(sem))
-			sems[sem] = this._sems[sem].length;
-	}
+	this._sems.keys().forEach(function(sem) {
+		if (byMode) {
+			sems[sem] = {shared: 0, exclusive: 0};
+			this._sems.get(sem).forEach(function(handle) {
+				sems[sem][this._getMode(handle, sem)] +=
+					this._getWeight(handle, sem);
+			}, this);
+		}
+		else
+			sems[sem] = this._getHeldWeight(sem);
+	}, this);
 	return sems;
 };
 
@@ -183,10 +677,254 @@ Semlocks.prototype.getLocks = function() {
  * @returns {number} The current cap of simultaneous locks for this semaphore.
  */
 Semlocks.prototype.getMaxLocks = function(sem) {
-	return this._semCaps.hasOwnProperty(sem) ? this._semCaps[sem] :
+	return this._semCaps.has(sem) ? this._semCaps.get(sem) :
 		this._defaultCap;
 };
 
+/**
+ * Gets the queue limit for a given semaphore.  This can be changed for a
+ * specific semaphore by calling {@link #setMaxQueue}, or for all other
+ * semaphores by calling {@link #setDefaultMaxQueue}.
+ * @param {string} [sem] The semaphore whose queue limit should be retrieved.
+ *      Omit this argument to get the default limit.
+ * @returns {{max: number, policy: string}|null} The most requests that can
+ *      wait for the semaphore at once, and the policy applied when one more
+ *      arrives; or null if its queue is unlimited.
+ */
+Semlocks.prototype.getMaxQueue = function(sem) {
+	var limit = sem !== undefined && this._queueLimits.hasOwnProperty(sem) ?
+		this._queueLimits[sem] : this._defaultQueueLimit;
+	return limit ? {max: limit.max, policy: limit.policy} : null;
+};
+
+/**
+ * Gets the current priority aging policy, as set by
+ * {@link #setPriorityAging}.
+ * @returns {{rate: number, floor: number}|null} The aging rate and floor, or
+ *      null if priorities don't age.
+ */
+Semlocks.prototype.getPriorityAging = function() {
+	return this._aging ? {rate: this._aging.rate, floor: this._aging.floor} :
+		null;
+};
+
+/**
+ * Gets the requests waiting for a semaphore, in the order in which they'll be
+ * granted it.
+ * @param {string} sem The semaphore whose queue should be returned
+ * @returns {Array<{handle: number, mode: string, group: string|null,
+ *      weight: number, priority: number, effectivePriority: number}>} The
+ *      handle of each waiting request, along with the mode in which it wants
+ *      the semaphore, its group, the number of locks it wants, its priority,
+ *      and its priority after aging (see {@link #setPriorityAging}).
+ */
+Semlocks.prototype.getQueue = function(sem) {
+	var now = Date.now();
+	return (this._semQueues.get(sem) || []).map(function(handle) {
+		var req = this._reqs.get(handle);
+		return {
+			handle: handle,
+			mode: req.mode,
+			group: req.group,
+			weight: this._getWeight(handle, sem),
+			priority: req.priority,
+			effectivePriority: this._getPriority(handle, now)
+		};
+	}, this);
+};
+
+/**
+ * Gets the rate limit for a semaphore, as set by {@link #setRateLimit}.
+ * @param {string} sem The semaphore whose rate limit should be retrieved
+ * @returns {{limit: number, interval: number}|null} The number of grants
+ *      allowed per interval, and the interval in milliseconds; or null if
+ *      the semaphore isn't rate limited.
+ */
+Semlocks.prototype.getRateLimit = function(sem) {
+	var rate = this._rateLimits.hasOwnProperty(sem) ?
+		this._rateLimits[sem] : null;
+	return rate ? {limit: rate.limit, interval: rate.interval} : null;
+};
+
+/**
+ * Gets whether locks are reentrant, as set by {@link #setReentrant}.
+ * @returns {boolean} true if locks are reentrant; false otherwise.
+ */
+Semlocks.prototype.getReentrant = function() {
+	return !!this._context;
+};
+
+/**
+ * Gets a description of an open request.  All times are in milliseconds.
+ * @param {number} handle The handle of the request
+ * @returns {{}|null} null if there's no open request with the given handle,
+ *      or an object containing:
+ *          - {number} handle: The request's handle
+ *          - {Array<string>} sems: Every semaphore requested
+ *          - {Array<string>} held: The semaphores the request holds
+ *          - {Array<string>} pending: The semaphores it's waiting for
+ *          - {Array<string>} reentered: The semaphores it was granted because
+ *            an enclosing request already held them
+ *          - {{}|null} weights: The number of locks requested on each
+ *            semaphore, or null if one lock was requested on each
+ *          - {string} mode: The mode in which the semaphores were requested
+ *          - {Array<string>} upgrading: The semaphores it's waiting to upgrade
+ *          - {Array<string>} waiting: The semaphores it released to wait on a
+ *            condition, and hasn't yet re-acquired
+ *          - {string|null} group: The group the request was made for
+ *          - {number} priority: The request's priority
+ *          - {*} meta: The request's `meta` option, or null
+ *          - {boolean} atomic: Whether the request was made atomically
+ *          - {boolean} granted: Whether the request's callback has been called
+ *          - {number} created: The time the request was made, as a timestamp
+ *          - {number} age: The time since the request was made
+ *          - {number|null} ttl: The request's TTL
+ *          - {number|null} ttlRemaining: The time left before the TTL is
+ *            reached, or null if it's not counting down
+ *          - {number|null} heartbeat: The request's heartbeat interval
+ *          - {number|null} heartbeatRemaining: The time left for the holder
+ *            to renew, or null if it's not counting down
+ *          - {number|null} waitDeadline: The timestamp at which the request
+ *            will time out, or null if it's not waiting with a time limit
+ *          - {{}|null} trace: If the request was made with leak detection
+ *            enabled, the `acquiredAt` and `grantedAt` timestamps and the
+ *            `acquireStack` and `grantStack` traces captured when it was made
+ *            and when it was granted its locks, which are null until then.
+ *            Otherwise, null.
+ */
+Semlocks.prototype.getRequest = function(handle) {
+	var req = this._reqs.get(handle),
+		now = Date.now(),
+		desc;
+	if (!req)
+		return null;
+	desc = {
+		handle: handle,
+		sems: req.sems.slice(),
+		held: [],
+		pending: [],
+		reentered: req.reentered ? Object.keys(req.reentered) : [],
+		weights: null,
+		mode: req.mode,
+		upgrading: this._getUpgrades(handle).map(function(upgrade) {
+			return upgrade.sem;
+		}),
+		waiting: req.waits ? Object.keys(req.waits) : [],
+		group: req.group,
+		priority: req.priority,
+		meta: req.meta,
+		atomic: req.atomic,
+		granted: !!req.called,
+		created: req.created,
+		age: now - req.created,
+		ttl: req.ttl || null,
+		ttlRemaining: req.ttlTimer ? Math.max(req.ttlDeadline - now, 0) : null,
+		heartbeat: req.heartbeat || null,
+		heartbeatRemaining: req.heartbeatTimer ?
+			Math.max(req.heartbeatDeadline - now, 0) : null,
+		waitDeadline: req.remain && req.waitDeadline ? req.waitDeadline : null,
+		trace: req.trace ? {
+			acquiredAt: req.trace.acquiredAt,
+			acquireStack: req.trace.acquireStack,
+			grantedAt: req.trace.grantedAt,
+			grantStack: req.trace.grantStack
+		} : null
+	};
+	req.sems.forEach(function(sem) {
+		var holders = this._sems.get(sem),
+			queue = this._semQueues.get(sem);
+		if (req.weights) {
+			desc.weights = desc.weights || {};
+			desc.weights[sem] = req.weights[sem];
+		}
+		if (holders && holders.indexOf(handle) > -1)
+			desc.held.push(sem);
+		else if (queue && queue.indexOf(handle) > -1)
+			desc.pending.push(sem);
+	}, this);
+	return desc;
+};
+
+/**
+ * Gets the separator that divides semaphore names into a hierarchy, as set by
+ * {@link #setSeparator}.
+ * @returns {string|null} The current separator, or null if semaphores are not
+ *      hierarchical.
+ */
+Semlocks.prototype.getSeparator = function() {
+	return this._separator;
+};
+
+/**
+ * Gets the statistics collected for one semaphore, or for every semaphore,
+ * since statistics were enabled with {@link #setStatsEnabled} or last reset
+ * with {@link #resetStats}.  See {@link Stats#get} for their contents.
+ * @param {string} [sem] The semaphore whose statistics should be returned
+ * @returns {{}} A copy of the given semaphore's statistics, or an object
+ *      mapping each semaphore to its statistics.  If statistics are disabled,
+ *      every count is 0.
+ */
+Semlocks.prototype.getStats = function(sem) {
+	return (this._stats || new Stats()).get(sem);
+};
+
+/**
+ * Gets whether statistics are being collected, as set by
+ * {@link #setStatsEnabled}.
+ * @returns {boolean} true if statistics are enabled; false otherwise.
+ */
+Semlocks.prototype.getStatsEnabled = function() {
+	return !!this._stats;
+};
+
+/**
+ * Shares this instance's locks with other processes by listening for
+ * connections on a Unix domain socket, or a named pipe on Windows.  Other
+ * processes can connect with {@link Client.connect}, and acquire and release
+ * locks through the returned {@link Client} just as they would with a local
+ * instance.  If a client disconnects, every lock it held or requested is
+ * released.
+ * @param {string} path The path at which to create the socket.  This must not
+ *      already exist.
+ * @param {function} [cb] A function to be called once the socket is listening
+ * @returns {net.Server} The server accepting connections, which can be closed
+ *      to stop accepting new clients.
+ */
+Semlocks.prototype.listen = function(path, cb) {
+	return this._getHost().listen(path, cb);
+};
+
+/**
+ * Wakes the request that has waited longest on a semaphore's condition, so
+ * that it queues to re-acquire its lock.  See {@link #wait}.
+ * @param {string} sem The semaphore the condition is bound to
+ * @param {string} [condition] The name of the condition.  Omit this argument
+ *      for the semaphore's default condition.
+ * @returns {number} The number of requests woken: 1, or 0 if none were
+ *      waiting.
+ */
+Semlocks.prototype.notify = function(sem, condition) {
+	var waiters = this._getWaiters(sem, condition);
+	if (!waiters.length)
+		return 0;
+	this._wake(waiters[0]);
+	return 1;
+};
+
+/**
+ * Wakes every request waiting on a semaphore's condition, so that they queue
+ * to re-acquire their locks.  See {@link #wait}.
+ * @param {string} sem The semaphore the condition is bound to
+ * @param {string} [condition] The name of the condition.  Omit this argument
+ *      for the semaphore's default condition.
+ * @returns {number} The number of requests woken
+ */
+Semlocks.prototype.notifyAll = function(sem, condition) {
+	var waiters = this._getWaiters(sem, condition).slice();
+	waiters.forEach(this._wake, this);
+	return waiters.length;
+};
+
 /**
  * Releases a held semaphore, or a set of held semaphores, back into the pool.
  * @param {number} [handle] The handle of a request that currently holds one or
@@ -194,241 +932,2533 @@ Semlocks.prototype.getMaxLocks = function(sem) {
  * @param {string|Array<string>} [sem] A semaphore or array of semaphores to be
  *      released.  If omitted, all semaphores belonging to the given handle
  *      will be released.
+ * @returns {boolean} true if any lock was released; false if the request
+ *      held none of the given semaphores, or has already finished.  Unless
+ *      the instance was created with the `uniqueHandles` option, a finished
+ *      request's handle may since have been reused by a new request.
+ *
+ * Emits a 'released' event with the request's details, as described by
+ * {@link #getRequest}, once the request has released every lock.
  */
 Semlocks.prototype.release = function(handle, sem) {
+	var released = false;
 	// Fail silently if there is no req; cancel was probably called
-	if (this._reqs[handle]) {
+	if (this._reqs.has(handle)) {
 		if (!sem)
-			sem = this._reqs[handle].sems;
+			sem = this._reqs.get(handle).sems;
 		if (util.isArray(sem))
-			sem.forEach(this._release.bind(this, handle));
+			sem.forEach(function(held) {
+				if (this._release(handle, held))
+					released = true;
+			}, this);
 		else
-			this._release(handle, sem);
+			released = this._release(handle, sem);
 	}
+	return released;
 };
 
 /**
- * Sets the maximum number of times that any semaphore can be simultaneously
- * locked, if no explicit cap has been set on it using {@link #setMaxLocks}.
- *
- * If any requests are waiting in the queue for any semaphores without explicit
- * caps, locks will automatically be granted to the appropriate number of
- * waiting requests.
- * @param {number|null} cap The number of simultaneous locks to allow on
- *      semaphores by default.  If null, the max will revert to its default of
- *      1.  If less than 0, 0 will be used.  Note that a cap of 0 means that
- *      no semaphore will be able to be acquired until this is changed, or
- *      until a semaphore-specific max has been set with {@link #setMaxLocks}.
+ * Renews the locks held by a granted request.  If the request has a
+ * heartbeat, the holder gets another full heartbeat interval in which to
+ * renew again.  Otherwise, its TTL starts over, as if {@link #extend} had
+ * been called without a time.
+ * @param {number} handle The handle of a granted request with a heartbeat or
+ *      TTL
+ * @returns {boolean} true if the locks were renewed; false if the request
+ *      doesn't exist, hasn't been granted, or has neither a heartbeat nor a
+ *      TTL.
  */
-Semlocks.prototype.setDefaultMaxLocks = function(cap) {
-	var prev = this._defaultCap;
-	if (cap === null)
-		this._defaultCap = 1;
+Semlocks.prototype.renew = function(handle) {
+	var req = this._reqs.get(handle);
+	if (req && req.heartbeatTimer)
+		this._setLease(handle, 'heartbeat', req.heartbeat);
+	else if (req && req.ttlTimer)
+		this._setLease(handle, 'ttl', req.ttl);
 	else
-		this._defaultCap = Math.max(cap, 0);
-	if (this._defaultCap > prev) {
-		for (var sem in this._semQueues) {
-			if (this._semQueues.hasOwnProperty(sem) &&
-					!this._semCaps.hasOwnProperty(sem)) {
-				this._grantEmptySlots(sem);
-			}
-		}
-	}
+		return false;
+	return true;
 };
 
 /**
- * Sets the maximum number of times the specified semaphore can be
- * simultaneously locked. By default, all semaphores are exclusive (cap=1).
- * This default can be changed in {@link #setDefaultMaxLocks}.
- *
- * If any requests are waiting in the queue for the given semaphore when the
- * max is raised, locks will automatically be granted to the appropriate number
- * of waiting requests.
- * @param {string} sem A string representing the semaphore whose max should be
- *      changed.
- * @param {number|null} cap The number of simultaneous locks for this
- *      semaphore.  If null, the max will revert to its default.  If less than
- *      0, 0 will be used.  Note that a cap of 0 means that the semaphore will
- *      not be able to be acquired until this is changed.
+ * Clears the statistics collected for one semaphore, or for every semaphore.
+ * @param {string} [sem] The semaphore whose statistics should be cleared.  If
+ *      omitted, all statistics are cleared.
  */
-Semlocks.prototype.setMaxLocks = function(sem, cap) {
-	if (cap !== null)
-		this._semCaps[sem] = Math.max(cap, 0);
-	else if (this._semCaps[sem])
-		delete this._semCaps[sem];
-	this._grantEmptySlots(sem);
+Semlocks.prototype.resetStats = function(sem) {
+	if (this._stats)
+		this._stats.reset(sem);
 };
 
 /**
- * Calls the callback function for a given handle and adds the 'ttlTimer'
- * property to the request object to track the timeout for the ttl, if
- * specified.
- * @param {number} handle The handle whose callback should be called
- * @private
+ * Restores a state produced by {@link #serialize}, such as one saved by a
+ * process before it restarted.  Every setting in the state is applied to this
+ * instance, replacing its own, except for max locks on semaphores that the
+ * state doesn't mention.  Optionally, the requests that were open when the
+ * state was serialized are made again, with the same semaphores and options;
+ * those that held their locks are made first, in the order they were
+ * originally made, followed by those that were waiting.
+ * @param {string|{}} state The serialized state, or the object it parses to
+ * @param {{}} [opts] An optional set of key/value options.  They are:
+ * @param {boolean|function} [opts.requeue=false] If true, each request in
+ *      the state is made again without a callback, leaving its locks held
+ *      until its new handle is released.  If a function, it's called with the
+ *      details of each request, as returned by {@link #getRequest}, and can
+ *      return a callback to make the request again with, or false to leave it
+ *      out.  Any other return value makes the request without a callback.
+ * @returns {{}} An object mapping the handle each request had in the state to
+ *      the handle it was given when made again.
  */
-Semlocks.prototype._callCB = function(handle) {
-	var req = this._reqs[handle],
-		release = this.release.bind(this, handle),
-		self = this;
-	if (req.ttl) {
-		req.ttlTimer = setTimeout(function() {
-			self.release(handle);
-			self.emit('killed', handle);
-		}, req.ttl);
-	}
-	req.called = true;
-	if (req.cb)
-		req.cb(null, release);
+Semlocks.prototype.restore = function(state, opts) {
+	var handles = {},
+		aging,
+		limit;
+	if (typeof state == 'string')
+		state = JSON.parse(state);
+	if (!state || state.version !== STATE_VERSION)
+		throw new Error('Unsupported state version: ' +
+			(state && state.version));
+	opts = opts || {};
+	aging = state.priorityAging;
+	this.setDeadlockPolicy(state.deadlockPolicy);
+	this.setSeparator(state.separator);
+	this.setReentrant(state.reentrant);
+	this.setPriorityAging(aging ? aging.rate : null, aging ? aging.floor : 0);
+	this.setLeakDetection(state.leakDetection || null);
+	Object.keys(state.groupWeights).forEach(function(group) {
+		this.setGroupWeight(group, state.groupWeights[group]);
+	}, this);
+	Object.keys(state.groupMaxLocks).forEach(function(sem) {
+		Object.keys(state.groupMaxLocks[sem]).forEach(function(group) {
+			this.setGroupMaxLocks(sem, group,
+				decodeMax(state.groupMaxLocks[sem][group]));
+		}, this);
+	}, this);
+	state.fairQueueing.forEach(function(sem) {
+		this.setFairQueueing(sem, true);
+	}, this);
+	Object.keys(state.rateLimits).forEach(function(sem) {
+		this.setRateLimit(sem, state.rateLimits[sem]);
+	}, this);
+	this.setDefaultMaxLocks(decodeMax(state.defaultMaxLocks));
+	Object.keys(state.maxLocks).forEach(function(sem) {
+		this.setMaxLocks(sem, decodeMax(state.maxLocks[sem]));
+	}, this);
+	limit = state.defaultMaxQueue;
+	this.setDefaultMaxQueue(limit ? decodeMax(limit.max) : null,
+		limit && limit.policy);
+	Object.keys(state.maxQueue || {}).forEach(function(sem) {
+		this.setMaxQueue(sem, decodeMax(state.maxQueue[sem].max),
+			state.maxQueue[sem].policy);
+	}, this);
+	if (!opts.requeue)
+		return handles;
+	state.requests.slice().sort(function(a, b) {
+		return b.granted - a.granted || a.created - b.created;
+	}).forEach(function(req) {
+		var cb = typeof opts.requeue == 'function' ? opts.requeue(req) : null;
+		if (cb === false)
+			return;
+		handles[req.handle] = this.acquire(req.weights || req.sems, {
+			mode: req.mode,
+			priority: req.priority,
+			group: req.group,
+			atomic: req.atomic,
+			ttl: req.ttl,
+			heartbeat: req.heartbeat,
+			meta: req.meta
+		}, typeof cb == 'function' ? cb : undefined);
+	}, this);
+	return handles;
 };
 
 /**
- * Adds a request handle to a semaphore queue, keeping that queue in order by
- * request priority.
- * @param {string} sem The semaphore whose queue should be manipulated
- * @param {number} handle The handle of the request to be added to the sem's
- *      queue.
- * @private
+ * Converts a shared lock held by a request into an exclusive lock, without
+ * releasing it.  The upgrade waits until every other lock on the semaphore,
+ * and any conflicting lock on a related semaphore, has been released.  While
+ * it waits, no new locks are granted on the semaphore, so the upgrade can't
+ * be starved by requests made after it.
+ *
+ * Only one request can wait to upgrade a semaphore at a time: if two holders
+ * tried, each would wait for the other forever.  The second upgrade fails
+ * with a {@link DeadlockError} instead.  An upgrade also fails with a
+ * {@link CanceledError} if its lock is released while it waits.
+ *
+ * Emits a 'release' event for the shared lock, followed by an 'acquire'
+ * event for the exclusive lock, once the upgrade is granted.  Each event is
+ * passed the lock's mode, so listeners that track holders stay accurate.
+ * @param {number} handle The handle of a request holding a shared lock
+ * @param {string} sem The semaphore to be upgraded
+ * @param {{}|function} [opts] An optional set of key/value options.  They are:
+ * @param {number} [opts.wait=null] The number of milliseconds to wait for the
+ *      upgrade.  If this time limit is reached, the lock remains shared and
+ *      the callback is executed with a {@link TimeoutError}.  Default is
+ *      unbounded.
+ * @param {boolean} [opts.instant=false] If true, the callback will be called
+ *      with an {@link InstantError} if the upgrade can't be granted
+ *      immediately.
+ * @param {function} [cb] A callback to be executed in the tick after the
+ *      lock has been upgraded, or once the upgrade has failed.  It receives an
+ *      error argument, which is null on success.  Upgrading a lock that's
+ *      already exclusive succeeds immediately, and upgrading a semaphore the
+ *      request doesn't hold fails.
  */
-Semlocks.prototype._enqueue = function(sem, handle) {
-	if (!this._semQueues[sem])
-		this._semQueues[sem] = [];
-	var queue = this._semQueues[sem],
-		targetPri = this._reqs[handle].priority,
-		inserted = false;
-	for (var i = 0; i < queue.length; i++) {
-		var curPri = this._reqs[queue[i]].priority;
-		if (curPri > targetPri) {
-			queue.splice(i, 0, handle);
-			inserted = true;
-			break;
-		}
+Semlocks.prototype.upgrade = function(handle, sem, opts, cb) {
+	var pending = this._upgrades.hasOwnProperty(sem) ?
+			this._upgrades[sem] : null,
+		err = null,
+		upgrade;
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
 	}
-	if (!inserted)
-		queue.push(handle);
-};
-
-/**
- * Grants locks to queued handles for a given semaphore, if there are available
- * locks for that semaphore.  As locks are granted automatically upon release,
- * this function is only useful when the max locks cap for a certain semaphore
- * has been raised.
- * @param {string} sem The semaphore with empty slots to be filled
- * @private
- */
-Semlocks.prototype._grantEmptySlots = function(sem) {
-	if (this._semQueues[sem]) {
-		var success;
-		do {
-			success = this._grantLock(this._semQueues[sem][0], sem);
-		} while (success && this._semQueues[sem]);
+	if (!opts)
+		opts = {};
+	if (!this._holds(handle, sem))
+		err = new Error('Semaphore not held: ' + sem);
+	else if (pending && pending.handle == handle)
+		err = new Error('Upgrade already pending: ' + sem);
+	else if (pending)
+		err = new errors.DeadlockError([handle, pending.handle], [sem, sem]);
+	else if (this._getMode(handle, sem) != 'exclusive') {
+		upgrade = {handle: handle, sem: sem, cb: cb || null, timeout: null};
+		this._upgrades[sem] = upgrade;
+		this._grantUpgrade(sem);
+		if (this._upgrades[sem] !== upgrade)
+			return;
+		if (opts.instant) {
+			this._finishUpgrade(upgrade,
+				new errors.InstantError('Could not upgrade lock instantly'));
+			return;
+		}
+		if (opts.hasOwnProperty('wait') && opts.wait !== null) {
+			upgrade.timeout = setTimeout(this._finishUpgrade.bind(this,
+				upgrade, new errors.TimeoutError(
+					'Failed to upgrade lock within allotted time')), opts.wait);
+		}
+		if (this._deadlockPolicy)
+			this._detectDeadlock(handle);
+		return;
 	}
+	if (cb)
+		setImmediate(cb.bind(null, err));
 };
 
 /**
- * Gets the next handle ID to be associated with a semaphore request.  This
- * ID is an integer that increments with each call, resetting to zero when it
- * reaches {@link HANDLE_LIMIT}.
- * @returns {number} The next available handle ID
- * @private
+ * Acquires semaphore locks, calls the given function with a {@link Lock}, and
+ * releases every lock held by the request when the function returns or, if
+ * it returns a Promise, when that promise settles.  Locks are released even
+ * if the function throws or rejects.
+ * @param {string|Array|{}} sems The semaphore(s) to be locked, as accepted
+ *      by {@link #acquire}.
+ * @param {{}} [opts] An optional set of options, as accepted by
+ *      {@link #acquire}.
+ * @param {function} fn The function to be executed while the locks are held.
+ *      It is called with the Lock as its only argument.
+ * @returns {Promise} Resolves with the return value of fn, or rejects with
+ *      the error that prevented the locks from being acquired or the error
+ *      thrown by fn.
  */
-Semlocks.prototype._getNextHandle = function() {
-	if (this._curId >= HANDLE_LIMIT)
-		this._curId = 0;
-	return this._curId++;
+Semlocks.prototype.using = function(sems, opts, fn) {
+	return Lock.using(this, sems, opts, fn);
 };
 
 /**
- * Grants a sem lock to a given handle if that semaphore is available, removing
- * that handle from the top of the semaphore's wait queue if applicable. If
- * this is the last semaphore the request was waiting for, the request's
- * callback will be scheduled for execution in the next tick.
+ * Releases a request's lock on a semaphore and waits on one of the
+ * semaphore's conditions until it's notified with {@link #notify} or
+ * {@link #notifyAll}.  Once notified, the request queues to re-acquire the
+ * lock at its original priority and mode, and the callback is called once it
+ * holds the lock again.  Releasing the lock and starting to wait happen at
+ * once, so a notification sent by the next holder of the lock can't be
+ * missed.  As with any condition variable, the state being waited for should
+ * be checked again once the lock is re-acquired.
  *
- * Emits 'acquire' and 'acquire:SEMAPHORE' events.
- * @param {number} handle The handle to which the lock should be granted
- * @param {string} sem The semaphore to lock
- * @returns {boolean} true if the semaphore was available and was granted;
- *      false if the semaphore was not available and therefore not granted.
+ * Releasing the semaphore, or canceling the request, while it waits fails the
+ * wait with a {@link CanceledError}.
+ * @param {number} handle The handle of a request holding the semaphore
+ * @param {string} sem The semaphore to be released while waiting
+ * @param {{}|function} [opts] An optional set of key/value options.  They are:
+ * @param {string} [opts.condition] The name of the condition to wait on, for
+ *      semaphores with more than one.  Default is the semaphore's default
+ *      condition.
+ * @param {number} [opts.wait=null] The number of milliseconds to wait for a
+ *      notification.  If this time limit is reached, the request queues to
+ *      re-acquire the lock anyway, and the callback is executed with a
+ *      {@link TimeoutError} once it holds the lock again.  Default is
+ *      unbounded.
+ * @param {function} [cb] A callback to be executed in the tick after the lock
+ *      has been re-acquired, or once the wait has failed.  It receives an
+ *      error argument, which is null if the request was notified.
+ */
+Semlocks.prototype.wait = function(handle, sem, opts, cb) {
+	var req = this._reqs.get(handle),
+		waiter;
+	if (typeof opts == 'function') {
+		cb = opts;
+		opts = {};
+	}
+	if (!opts)
+		opts = {};
+	if (!this._holds(handle, sem)) {
+		if (cb) {
+			setImmediate(cb.bind(null,
+				new Error('Semaphore not held: ' + sem)));
+		}
+		return;
+	}
+	waiter = {handle: handle, sem: sem, condition: opts.condition || '',
+		cb: cb || null, timeout: null, timedOut: false};
+	this._release(handle, sem, true);
+	if (!req.waits)
+		req.waits = {};
+	req.waits[sem] = waiter;
+	this._getWaiters(sem, waiter.condition, true).push(waiter);
+	if (opts.hasOwnProperty('wait') && opts.wait !== null) {
+		waiter.timeout = setTimeout(function() {
+			waiter.timedOut = true;
+			this._wake(waiter);
+		}.bind(this), opts.wait);
+	}
+};
+
+/**
+ * Serializes this instance's settings and open requests to JSON, so that they
+ * can be saved and later passed to {@link #restore}, such as by a new process
+ * after a crash.  Each request's `meta` must be serializable to JSON.  Maxes
+ * of Infinity are written as the string 'Infinity', as JSON has no such
+ * number.
+ * @returns {string} A JSON object containing:
+ *      - {number} version: The version of this format
+ *      - {number} time: When the state was serialized, as a timestamp
+ *      - {number|string} defaultMaxLocks: The default max locks
+ *      - {{}} maxLocks: The max locks set for specific semaphores
+ *      - {{}|null} defaultMaxQueue: The default queue limit
+ *      - {{}} maxQueue: The queue limits set for specific semaphores
+ *      - {string|null} deadlockPolicy: The current deadlock policy
+ *      - {string|null} separator: The current semaphore separator
+ *      - {boolean} reentrant: Whether locks are reentrant
+ *      - {{}|null} priorityAging: The priority aging policy
+ *      - {{}|null} leakDetection: The leak detection settings
+ *      - {Array<string>} fairQueueing: The semaphores with fair queueing
+ *      - {{}} groupMaxLocks: The max locks set for each group, by semaphore
+ *      - {{}} groupWeights: The weights set for specific groups
+ *      - {{}} rateLimits: The rate limit set for each semaphore
+ *      - {Array<{}>} requests: Every open request, holding or waiting, as
+ *        returned by {@link #getRequest}
+ */
+Semlocks.prototype.serialize = function() {
+	var state = {
+		version: STATE_VERSION,
+		time: Date.now(),
+		defaultMaxLocks: encodeMax(this._defaultCap),
+		maxLocks: {},
+		defaultMaxQueue: encodeQueueLimit(this.getMaxQueue()),
+		maxQueue: {},
+		deadlockPolicy: this._deadlockPolicy,
+		separator: this._separator,
+		reentrant: this.getReentrant(),
+		priorityAging: this.getPriorityAging(),
+		leakDetection: this.getLeakDetection(),
+		fairQueueing: Object.keys(this._fair),
+		groupMaxLocks: {},
+		groupWeights: this._groupWeights,
+		rateLimits: {},
+		requests: this._reqs.keys().map(function(handle) {
+			return this.getRequest(Number(handle));
+		}, this)
+	};
+	this._semCaps.keys().forEach(function(sem) {
+		state.maxLocks[sem] = encodeMax(this._semCaps.get(sem));
+	}, this);
+	Object.keys(this._queueLimits).forEach(function(sem) {
+		state.maxQueue[sem] = encodeQueueLimit(this.getMaxQueue(sem));
+	}, this);
+	Object.keys(this._groupCaps).forEach(function(sem) {
+		state.groupMaxLocks[sem] = {};
+		Object.keys(this._groupCaps[sem]).forEach(function(group) {
+			state.groupMaxLocks[sem][group] =
+				encodeMax(this._groupCaps[sem][group]);
+		}, this);
+	}, this);
+	Object.keys(this._rateLimits).forEach(function(sem) {
+		state.rateLimits[sem] = this.getRateLimit(sem);
+	}, this);
+	return JSON.stringify(state);
+};
+
+/**
+ * Enables or disables deadlock detection.  When enabled, Semlocks maintains a
+ * graph of which requests are waiting for which others -- either because
+ * they hold a lock the request needs, or because they're ahead of it in line
+ * -- and checks it for cycles whenever a request starts waiting or is
+ * granted only some of the locks it needs.  When reentrant locks are enabled
+ * with {@link #setReentrant}, a request is also waiting for any request made
+ * from inside its callback that hasn't been granted yet, so holders that
+ * each wait on a nested request for the other's locks are found as well.
+ * Every detected deadlock fires a 'deadlock' event.  The available policies
+ * are:
+ *      - emit: Only fire the 'deadlock' event
+ *      - youngest: Cancel the most recent request in the cycle
+ *      - lowestPriority: Cancel the request in the cycle with the highest
+ *        priority number, falling back to the most recent on a tie
+ * Canceled requests are passed a {@link DeadlockError}.
+ * @param {string|null} policy One of the above policies, or null to disable
+ *      deadlock detection.  Detection is disabled by default.
+ */
+Semlocks.prototype.setDeadlockPolicy = function(policy) {
+	if (policy && DEADLOCK_POLICIES.indexOf(policy) == -1)
+		throw new Error('Unknown deadlock policy: ' + policy);
+	this._deadlockPolicy = policy || null;
+};
+
+/**
+ * Enables or disables fair queueing for a semaphore.  Normally, requests
+ * with the same priority are granted in the order they were made, so a group
+ * that makes many requests at once can make every other group wait for all
+ * of them.  With fair queueing, each group's requests take turns with the
+ * other groups' within each priority, in proportion to their weights (see
+ * {@link #setGroupWeight}).  Requests made without a group take turns as a
+ * group of their own.
+ *
+ * Requests already waiting keep their place when fair queueing is enabled or
+ * disabled.
+ * @param {string} sem The semaphore whose queue should be shared fairly
+ * @param {boolean} enabled true to enable fair queueing; false to revert to
+ *      first-come, first-served.  Fair queueing is disabled by default.
+ */
+Semlocks.prototype.setFairQueueing = function(sem, enabled) {
+	if (!enabled)
+		delete this._fair[sem];
+	else if (!this._fair.hasOwnProperty(sem))
+		this._fair[sem] = {vtime: 0, tags: {}};
+};
+
+/**
+ * Limits the number of locks that requests from one group can hold on a
+ * semaphore at once, on top of the semaphore's own max.  A group's requests
+ * that are blocked only by this limit don't hold up the requests behind them
+ * in line; other groups continue to be granted any locks that are available.
+ * @param {string} sem The semaphore whose locks should be limited
+ * @param {string} group The group to be limited
+ * @param {number|null} cap The number of locks the group can hold at once,
+ *      counting the weight of each request.  If null, the limit is removed.
+ *      If less than 0, 0 will be used.
+ */
+Semlocks.prototype.setGroupMaxLocks = function(sem, group, cap) {
+	if (cap !== null) {
+		if (!this._groupCaps.hasOwnProperty(sem))
+			this._groupCaps[sem] = {};
+		this._groupCaps[sem][group] = Math.max(cap, 0);
+	}
+	else if (this._groupCaps.hasOwnProperty(sem)) {
+		delete this._groupCaps[sem][group];
+		if (!Object.keys(this._groupCaps[sem]).length)
+			delete this._groupCaps[sem];
+	}
+	this._grantEmptySlots(sem);
+};
+
+/**
+ * Sets a group's share of the semaphores with fair queueing.  A group with a
+ * weight of 2 takes two turns for every turn taken by a group with a weight
+ * of 1.
+ * @param {string} group The group whose weight should be changed
+ * @param {number|null} weight The group's weight, greater than 0.  If null,
+ *      the weight reverts to its default of 1.
+ */
+Semlocks.prototype.setGroupWeight = function(group, weight) {
+	if (weight === null)
+		delete this._groupWeights[group];
+	else if (typeof weight != 'number' || !(weight > 0))
+		throw new Error('Invalid group weight: ' + weight);
+	else
+		this._groupWeights[group] = weight;
+};
+
+/**
+ * Starts journaling this instance's activity to a file, or stops.  Each lock
+ * acquired and released, each request queued, granted, or failed, and each
+ * change to a semaphore's max is appended to the file as a line of JSON; see
+ * {@link Journal}.  Any journal already being written is closed first.
+ * @param {string|null} path The path of the file to append to, or null to
+ *      stop journaling.  The file is created if it doesn't exist.
+ * @returns {Journal|null} The new journal, or null if journaling stopped.
+ */
+Semlocks.prototype.setJournal = function(path) {
+	if (this._journal)
+		this._journal.close();
+	this._journal = path ? new Journal(this, path) : null;
+	return this._journal;
+};
+
+/**
+ * Enables or disables leak detection, to track down locks that are never
+ * released.  While it's enabled, each request captures a stack trace when
+ * it's made and when it's granted its locks, which are included in
+ * {@link #getRequest}.  A 'leak' event is fired with the request's details
+ * and a `reason` when:
+ *      - threshold: The request has held its locks for longer than the
+ *        `threshold` option
+ *      - unreleased: The request's callback returned a Promise that settled
+ *        while the request still held locks, or, with the `strict` option,
+ *        the callback returned while it still held locks
+ * Capturing stack traces slows down every request, so leak detection is
+ * meant for debugging.
+ * @param {{}|boolean|null} opts Leak detection settings, true to enable it
+ *      with the defaults, or null or false to disable it.  The settings are:
+ * @param {number} [opts.threshold=null] The number of milliseconds a request
+ *      can hold its locks before it's reported.  Default is no limit.
+ * @param {boolean} [opts.strict=false] If true, requests are reported when
+ *      their callback returns without releasing every lock, even if it
+ *      doesn't return a Promise.  Only use this if callbacks always release
+ *      their locks before returning.
+ * @param {boolean} [opts.console=false] If true, each report is also written
+ *      to the console as a warning, with the trace of where the request was
+ *      made.
+ */
+Semlocks.prototype.setLeakDetection = function(opts) {
+	if (!opts) {
+		this._leaks = null;
+		return;
+	}
+	if (opts === true)
+		opts = {};
+	if (opts.threshold !== undefined && opts.threshold !== null &&
+			!(opts.threshold >= 0))
+		throw new Error('Invalid leak threshold: ' + opts.threshold);
+	this._leaks = {
+		threshold: typeof opts.threshold == 'number' ? opts.threshold : null,
+		strict: !!opts.strict,
+		console: !!opts.console
+	};
+};
+
+/**
+ * Enables or disables priority aging.  When enabled, a waiting request's
+ * priority number drops steadily the longer it waits, until it reaches the
+ * floor, so that requests with a high priority number can't be starved by a
+ * steady stream of more important ones.  A request waiting with priority 2 at
+ * a rate of 0.5 and a floor of 0, for example, is treated as having priority
+ * 1 after two seconds and priority 0 after four.  Requests with a priority
+ * number already below the floor are unaffected.
+ *
+ * Queues are kept in order of these effective priorities, and are reordered
+ * whenever locks are about to be granted.  Requests with the same effective
+ * priority are granted in the order they were made.
+ * @param {number|null} rate The number by which a waiting request's priority
+ *      drops each second, or null to disable aging.  Aging is disabled by
+ *      default.
+ * @param {number} [floor=0] The lowest priority number aging can reach
+ */
+Semlocks.prototype.setPriorityAging = function(rate, floor) {
+	if (rate === null || rate === undefined)
+		this._aging = null;
+	else if (typeof rate != 'number' || !(rate > 0))
+		throw new Error('Invalid priority aging rate: ' + rate);
+	else
+		this._aging = {rate: rate, floor: floor || 0};
+	this._semQueues.keys().forEach(this._grantEmptySlots, this);
+};
+
+/**
+ * Limits the number of times a semaphore can be granted within any window of
+ * time, on top of its max locks.  This caps throughput rather than
+ * concurrency: with a limit of 10 per second, the semaphore is granted at
+ * most 10 times in any second, however quickly its locks are released.
+ * Requests that arrive once the limit is reached wait in line, in priority
+ * order, and are granted as earlier grants fall out of the window.  Their
+ * `wait` and `instant` options apply as usual.
+ *
+ * Each grant counts once, however many locks a weighted request takes.
+ * Semaphores granted by reentering a lock, and upgrades, don't count.
+ * @param {string} sem The semaphore to be limited
+ * @param {{limit: number, interval: number}|null} rate The number of grants
+ *      allowed within each interval, and the length of the interval in
+ *      milliseconds; or null to remove the limit.  Setting a new limit
+ *      forgets the grants made under the old one.
+ * @throws {Error} If the limit or interval is not a number greater than 0
+ */
+Semlocks.prototype.setRateLimit = function(sem, rate) {
+	if (rate && (typeof rate.limit != 'number' || !(rate.limit > 0) ||
+			typeof rate.interval != 'number' || !(rate.interval > 0)))
+		throw new Error('Invalid rate limit for semaphore: ' + sem);
+	if (this._rateLimits.hasOwnProperty(sem))
+		clearTimeout(this._rateLimits[sem].timer);
+	if (rate) {
+		this._rateLimits[sem] = {limit: rate.limit, interval: rate.interval,
+			grants: [], timer: null};
+	}
+	else
+		delete this._rateLimits[sem];
+	this._grantEmptySlots(sem);
+};
+
+/**
+ * Enables or disables reentrant locks.  When enabled, code running inside an
+ * acquire callback (or the function passed to {@link #using}), including any
+ * asynchronous work it starts, can acquire the semaphores it already holds
+ * again without waiting for itself.  Such nested requests are granted
+ * immediately, but don't take any more of the semaphore's locks.  Releasing
+ * them changes nothing; the semaphore is only released when the outermost
+ * request that truly holds it is released.
+ *
+ * A nested request for an exclusive lock is only granted immediately if the
+ * lock already held is exclusive as well.  Note that code following an
+ * `await` on {@link #acquireAsync} does not run inside the request's context,
+ * so nested requests made there will wait as usual.
+ * @param {boolean} enabled true to make locks reentrant; false to disable
+ *      reentrancy.  Locks are not reentrant by default.
+ */
+Semlocks.prototype.setReentrant = function(enabled) {
+	if (!enabled)
+		this._context = null;
+	else if (!this._context)
+		this._context = new asyncHooks.AsyncLocalStorage();
+};
+
+/**
+ * Sets a separator that divides semaphore names into a hierarchy.  With a
+ * separator of ':', for example, 'tenant:42' is the parent of
+ * 'tenant:42:invoice:7', and locks on the two will conflict if either of
+ * them is exclusive.  Locking 'tenant:42' with a mode of 'exclusive'
+ * therefore waits until no request holds any semaphore beneath it, and
+ * requests for those semaphores wait until the exclusive lock is released.
+ * Shared locks on related semaphores can be held together, and each
+ * semaphore's max still only counts its own locks.
+ *
+ * Conflicting requests for related semaphores are granted in the same order
+ * as requests for a single semaphore: by priority, and then by age.  A
+ * request waiting for a parent is never passed by newer requests for its
+ * children, nor the other way around.
+ * @param {string|null} separator The string separating each level of a
+ *      semaphore's name, or null to treat all semaphores as unrelated.
+ *      Semaphores are unrelated by default.
+ */
+Semlocks.prototype.setSeparator = function(separator) {
+	if (separator !== null && (typeof separator != 'string' || !separator))
+		throw new Error('Invalid separator: ' + separator);
+	this._separator = separator;
+	// Requests may have been waiting on semaphores that are no longer related
+	this._semQueues.keys().forEach(this._grantEmptySlots, this);
+};
+
+/**
+ * Sets the maximum number of times that any semaphore can be simultaneously
+ * locked, if no explicit cap has been set on it using {@link #setMaxLocks}.
+ *
+ * If any requests are waiting in the queue for any semaphores without explicit
+ * caps, locks will automatically be granted to the appropriate number of
+ * waiting requests.
+ * @param {number|null} cap The number of simultaneous locks to allow on
+ *      semaphores by default.  If null, the max will revert to its default of
+ *      1.  If less than 0, 0 will be used.  Note that a cap of 0 means that
+ *      no semaphore will be able to be acquired until this is changed, or
+ *      until a semaphore-specific max has been set with {@link #setMaxLocks}.
+ *      Waiting requests are failed as they would be by {@link #setMaxLocks}
+ *      if the max is lowered.
+ *
+ * Emits a 'capChanged' event if the default max changes, with a `semaphore`
+ * of null.  See {@link #setMaxLocks}.
+ */
+Semlocks.prototype.setDefaultMaxLocks = function(cap) {
+	var prev = this._defaultCap;
+	if (cap === null)
+		this._defaultCap = 1;
+	else
+		this._defaultCap = Math.max(cap, 0);
+	if (this._defaultCap != prev) {
+		this._emitCapChange(null, prev, this._defaultCap);
+		this._semQueues.keys().forEach(function(sem) {
+			if (this._semCaps.has(sem))
+				return;
+			if (this._defaultCap < prev)
+				this._rejectOverweight(sem);
+			else
+				this._grantEmptySlots(sem);
+		}, this);
+	}
+};
+
+/**
+ * Limits the number of requests that can wait for each semaphore at once, for
+ * semaphores without a limit of their own set by {@link #setMaxQueue}.  See
+ * {@link #setMaxQueue} for how the limit is enforced.
+ * @param {number|null} max The most requests that can wait for a semaphore,
+ *      or null to remove the default limit
+ * @param {string} [policy='reject'] The policy applied when a request arrives
+ *      at a full queue, from {@link QUEUE_POLICIES}.
+ */
+Semlocks.prototype.setDefaultMaxQueue = function(max, policy) {
+	this._defaultQueueLimit = this._createQueueLimit(max, policy);
+	this._semQueues.keys().concat(Object.keys(this._saturated))
+		.forEach(this._updateSaturation, this);
+};
+
+/**
+ * Sets the maximum number of times the specified semaphore can be
+ * simultaneously locked. By default, all semaphores are exclusive (cap=1).
+ * This default can be changed in {@link #setDefaultMaxLocks}.
+ *
+ * If any requests are waiting in the queue for the given semaphore when the
+ * max is raised, locks will automatically be granted to the appropriate number
+ * of waiting requests.
+ * @param {string} sem A string representing the semaphore whose max should be
+ *      changed.
+ * @param {number|null} cap The number of simultaneous locks for this
+ *      semaphore.  If null, the max will revert to its default.  If less than
+ *      0, 0 will be used.  Note that a cap of 0 means that the semaphore will
+ *      not be able to be acquired until this is changed.  Waiting requests
+ *      whose weight is more than a new max of 1 or more are failed with a
+ *      {@link WeightError}.
+ *
+ * Emits a 'capChanged' event if the semaphore's max changes, before any
+ * waiting requests are granted.  It's passed an object containing the
+ * `semaphore`, its `previous` max, its new `max`, and the `time` of the
+ * change.
+ */
+Semlocks.prototype.setMaxLocks = function(sem, cap) {
+	var prev = this.getMaxLocks(sem);
+	if (cap !== null)
+		this._semCaps.set(sem, Math.max(cap, 0));
+	else if (this._semCaps.has(sem))
+		this._semCaps.delete(sem);
+	if (this.getMaxLocks(sem) != prev)
+		this._emitCapChange(sem, prev, this.getMaxLocks(sem));
+	if (this.getMaxLocks(sem) < prev)
+		this._rejectOverweight(sem);
+	this._grantEmptySlots(sem);
+};
+
+/**
+ * Limits the number of requests that can wait for a semaphore at once, so
+ * that an overloaded semaphore can't build up waiting requests without
+ * bound.  When a request has to wait for the semaphore and its queue is
+ * already full, one request fails with a {@link QueueFullError}, chosen by
+ * the policy:
+ *      - reject: The request that just arrived
+ *      - dropLowestPriority: The waiting request with the highest priority
+ *        number after aging, or the most recent of those.  This is the
+ *        request that just arrived if none is less important.
+ *      - dropOldest: The request that has been waiting the longest
+ * Requests that are already waiting when the limit is lowered are left in the
+ * queue.
+ *
+ * A 'saturated' event is fired when the semaphore's queue fills up, and a
+ * 'drained' event once it has room again, so that callers can shed load
+ * before making requests that would fail.
+ * @param {string} sem The semaphore whose queue should be limited
+ * @param {number|null} max The most requests that can wait for the
+ *      semaphore.  A max of 0 means that requests which can't be granted
+ *      immediately always fail.  If null, the limit reverts to its default,
+ *      as set by {@link #setDefaultMaxQueue}.
+ * @param {string} [policy='reject'] The policy applied when a request arrives
+ *      at a full queue, from {@link QUEUE_POLICIES}.
+ */
+Semlocks.prototype.setMaxQueue = function(sem, max, policy) {
+	var limit = this._createQueueLimit(max, policy);
+	if (limit)
+		this._queueLimits[sem] = limit;
+	else
+		delete this._queueLimits[sem];
+	this._updateSaturation(sem);
+};
+
+/**
+ * Enables or disables the collection of statistics for each semaphore: how
+ * often it's requested and granted, how requests for it fail, the deepest its
+ * queue has been, and how long requests wait for it and hold it.  Statistics
+ * are kept for every semaphore that is requested until they're reset, so
+ * applications that use many unique semaphore names should reset them
+ * regularly.  Disabling statistics discards those already collected.
+ * @param {boolean} enabled true to collect statistics; false to stop.
+ *      Statistics are disabled by default.
+ */
+Semlocks.prototype.setStatsEnabled = function(enabled) {
+	if (!enabled)
+		this._stats = null;
+	else if (!this._stats)
+		this._stats = new Stats();
+};
+
+/**
+ * Shares this instance's locks with a worker thread or child process, which
+ * can then call {@link Client.connectToParent} to acquire and release locks
+ * through a {@link Client}.  Messages are exchanged over the worker's own
+ * IPC channel or MessagePort, alongside any messages the application sends.
+ * When the worker exits, every lock it held or requested is released.
+ * @param {EventEmitter} worker A worker_threads Worker, a cluster Worker, a
+ *      child process with an IPC channel, or a MessagePort
+ * @returns {IpcChannel} The channel to the worker, which can be closed to
+ *      stop sharing locks with it.
+ */
+Semlocks.prototype.shareWith = function(worker) {
+	var channel = new IpcChannel(worker);
+	this._getHost().attach(channel);
+	return channel;
+};
+
+/**
+ * Shares this instance's locks with every cluster worker, including those
+ * forked after this is called.  This must be called in the cluster's primary
+ * process, and workers can then call {@link Client.connectToParent} to
+ * acquire and release locks through a {@link Client}.  When a worker exits,
+ * every lock it held or requested is released.  Calling this more than once
+ * has no further effect.
+ */
+Semlocks.prototype.shareWithWorkers = function() {
+	var self = this;
+	if (!this._sharingWorkers) {
+		this._sharingWorkers = true;
+		Object.keys(cluster.workers || {}).forEach(function(id) {
+			this.shareWith(cluster.workers[id]);
+		}, this);
+		cluster.on('fork', function(worker) {
+			self.shareWith(worker);
+		});
+	}
+};
+
+/**
+ * Gets a snapshot of this instance's entire state, for debugging.  Like the
+ * other getters, this is a copy that won't change as locks are acquired and
+ * released.
+ * @returns {{}} An object containing:
+ *      - {{}} locks: The number of locks held on each semaphore, as returned
+ *        by {@link #getLocks}
+ *      - {{}} holders: Each held semaphore's holders, as returned by
+ *        {@link #getHolders}
+ *      - {{}} queues: Each semaphore's waiting requests, as returned by
+ *        {@link #getQueue}
+ *      - {{}} requests: Each open request, by handle, as returned by
+ *        {@link #getRequest}
+ *      - {{}} caps: The max locks set for specific semaphores
+ *      - {number} defaultCap: The default max locks
+ *      - {string|null} deadlockPolicy: The current deadlock policy
+ *      - {string|null} separator: The current semaphore separator
+ *      - {boolean} reentrant: Whether locks are reentrant
+ *      - {Array<string>} fairQueueing: The semaphores with fair queueing
+ *      - {{}} groupCaps: The max locks set for each group, by semaphore
+ *      - {{}} groupWeights: The weights set for specific groups
+ *      - {{}} rateLimits: The rate limit set for each semaphore, as returned
+ *        by {@link #getRateLimit}
+ */
+Semlocks.prototype.snapshot = function() {
+	var snap = {
+		locks: this.getLocks(),
+		holders: {},
+		queues: {},
+		requests: {},
+		caps: {},
+		defaultCap: this._defaultCap,
+		deadlockPolicy: this._deadlockPolicy,
+		separator: this._separator,
+		reentrant: this.getReentrant(),
+		fairQueueing: Object.keys(this._fair),
+		groupCaps: JSON.parse(JSON.stringify(this._groupCaps)),
+		groupWeights: JSON.parse(JSON.stringify(this._groupWeights)),
+		rateLimits: {}
+	};
+	this._sems.keys().forEach(function(sem) {
+		snap.holders[sem] = this.getHolders(sem);
+	}, this);
+	this._semQueues.keys().forEach(function(sem) {
+		snap.queues[sem] = this.getQueue(sem);
+	}, this);
+	this._reqs.keys().forEach(function(handle) {
+		snap.requests[handle] = this.getRequest(Number(handle));
+	}, this);
+	this._semCaps.keys().forEach(function(sem) {
+		snap.caps[sem] = this._semCaps.get(sem);
+	}, this);
+	Object.keys(this._rateLimits).forEach(function(sem) {
+		snap.rateLimits[sem] = this.getRateLimit(sem);
+	}, this);
+	return snap;
+};
+
+/**
+ * Records a request made from inside the callback of another open request,
+ * so that deadlock detection knows the enclosing request is waiting for it.
+ * Nested requests that have since finished are forgotten.
+ * @param {number} handle The handle of the new request
+ * @param {{}} req The new request, which hasn't been stored yet
+ * @private
+ */
+Semlocks.prototype._addNested = function(handle, req) {
+	var store = this._context.getStore(),
+		parent = store ? this._reqs.get(store.handle) : null;
+	if (parent) {
+		req.parent = store.handle;
+		parent.nested = this._getNested(store.handle).concat(handle);
+	}
+};
+
+/**
+ * Moves a semaphore's fair queue on to the turn of a request that has just
+ * been granted it.  Turns that have already passed are forgotten, as a
+ * group's next request can't be given a turn earlier than the current one.
+ * @param {number} handle The handle of the request that was granted
+ * @param {string} sem The semaphore it was granted
+ * @private
+ */
+Semlocks.prototype._advanceFairQueue = function(handle, sem) {
+	var fair = this._fair.hasOwnProperty(sem) ? this._fair[sem] : null;
+	if (fair) {
+		fair.vtime = Math.max(fair.vtime, this._getFairTag(handle, sem));
+		Object.keys(fair.tags).forEach(function(group) {
+			if (fair.tags[group] <= fair.vtime)
+				delete fair.tags[group];
+		});
+	}
+};
+
+/**
+ * Wraps a request's callback so that it runs in a new async context, marking
+ * everything it calls as being inside the request.  The new context is nested
+ * within the one in which the request was made, so that locks held by
+ * enclosing requests remain reentrant.
+ * @param {number} handle The handle of the request
+ * @param {function} [cb] The request's callback
+ * @returns {function|undefined} The wrapped callback, or undefined if there
+ *      was no callback.
+ * @private
+ */
+Semlocks.prototype._bindContext = function(handle, cb) {
+	var context = this._context,
+		store = {handle: handle, parent: context.getStore() || null};
+	if (!cb)
+		return cb;
+	return function() {
+		var args = [store, cb].concat(Array.prototype.slice.call(arguments));
+		return context.run.apply(context, args);
+	};
+};
+
+/**
+ * Calls the callback function for a given handle and starts the timers for
+ * its ttl and heartbeat, if specified.  Requests with either are also given
+ * an AbortController, whose signal is aborted if their locks are killed.  The
+ * request's own `signal` is no longer listened to, as it can't cancel a
+ * granted request.
+ * @param {number} handle The handle whose callback should be called
+ * @private
+ */
+Semlocks.prototype._callCB = function(handle) {
+	var req = this._reqs.get(handle),
+		release = this.release.bind(this, handle),
+		result;
+	// The request may have been canceled before this tick
+	if (!req)
+		return;
+	release.upgrade = this.upgrade.bind(this, handle);
+	release.downgrade = this.downgrade.bind(this, handle);
+	release.extend = this.extend.bind(this, handle);
+	release.renew = this.renew.bind(this, handle);
+	release.wait = this.wait.bind(this, handle);
+	this._unlisten(req);
+	if ((req.ttl || req.heartbeat) && typeof AbortController == 'function') {
+		req.controller = new AbortController();
+		release.signal = req.controller.signal;
+	}
+	if (req.ttl)
+		this._setLease(handle, 'ttl', req.ttl);
+	if (req.heartbeat)
+		this._setLease(handle, 'heartbeat', req.heartbeat);
+	req.called = true;
+	if (req.trace)
+		req.trace.grantedAt = Date.now();
+	if (req.trace && this._leaks && this._leaks.threshold !== null) {
+		req.leakTimer = setTimeout(this._reportLeak.bind(this, handle,
+			'threshold'), this._leaks.threshold);
+	}
+	this._emitRequest('granted', handle);
+	if (req.cb)
+		result = req.cb(null, release);
+	if (!req.trace || !this._leaks)
+		return;
+	if (result && typeof result.then == 'function') {
+		result.then(this._reportLeak.bind(this, handle, 'unreleased'),
+			this._reportLeak.bind(this, handle, 'unreleased'));
+	}
+	else if (this._leaks.strict)
+		this._reportLeak(handle, 'unreleased');
+};
+
+/**
+ * Cancels a request, as described by {@link #cancel}, and emits an event
+ * with its details and the `error` passed to its callback, if any.
+ * @param {number} handle The handle of the request to be canceled
+ * @param {Error} [err] The error to be passed to the request's callback, if
+ *      it hasn't already been called
+ * @param {string} event The event to emit: 'canceled' if the request was
+ *      canceled with {@link #cancel}, 'timeout' if it waited too long, or
+ *      'rejected' if it failed for any other reason
+ * @returns {boolean} true if the request was open and has been canceled;
+ *      false if it wasn't open.
+ * @private
+ */
+Semlocks.prototype._cancel = function(handle, err, event) {
+	var self = this,
+		req = this._reqs.get(handle),
+		info;
+	if (req) {
+		info = this._getEventInfo(event, handle);
+		if (req.timeout)
+			clearTimeout(req.timeout);
+		this._unlisten(req);
+		// Leave the queues first, so that releasing this request's locks can't
+		// grant it anything new
+		this._dequeue(handle);
+		this._getUpgrades(handle).forEach(function(upgrade) {
+			self._finishUpgrade(upgrade, err || new errors.CanceledError());
+		});
+		this._getWaits(handle).forEach(function(waiter) {
+			self._finishWait(waiter, err || new errors.CanceledError());
+		});
+		req.sems.forEach(function(sem) {
+			self._release(handle, sem);
+		});
+		if (err && !req.called) {
+			req.called = true;
+			if (req.cb)
+				req.cb(err);
+		}
+		// A lock released to wait on a condition never completes the request,
+		// so its leases may still be running
+		clearTimeout(req.ttlTimer);
+		clearTimeout(req.heartbeatTimer);
+		clearTimeout(req.leakTimer);
+		this._reqs.delete(handle);
+		if (info) {
+			info.error = err || null;
+			this.emit(event, info);
+		}
+	}
+	return !!req;
+};
+
+/**
+ * Determines whether a request's pending upgrade can be granted: it must be
+ * the semaphore's only holder, and no request can hold a related semaphore.
+ * Requests waiting for related semaphores don't block an upgrade, as they
+ * may be waiting for the upgrading request itself.
+ * @param {number} handle The handle of the upgrading request
+ * @param {string} sem The semaphore being upgraded
+ * @returns {boolean} true if the lock can be made exclusive right now; false
+ *      otherwise.
+ * @private
+ */
+Semlocks.prototype._canUpgrade = function(handle, sem) {
+	if (this._sems.get(sem).length > 1)
+		return false;
+	return !this._getRelatedConflicts(handle, sem, 'exclusive').some(
+		function(conflict) {
+			return this._holds(conflict.handle, conflict.sem);
+		}, this);
+};
+
+/**
+ * Changes the mode in which a request holds a semaphore.
+ *
+ * Emits 'release' and 'release:SEMAPHORE' events for the old mode, followed
+ * by 'acquire' and 'acquire:SEMAPHORE' events for the new one.
+ * @param {number} handle The handle of the request holding the semaphore
+ * @param {string} sem The semaphore being converted
+ * @param {string} mode The mode in which it should now be held
+ * @private
+ */
+Semlocks.prototype._convert = function(handle, sem, mode) {
+	var req = this._reqs.get(handle),
+		old = this._getMode(handle, sem);
+	if (!req.modes)
+		req.modes = {};
+	req.modes[sem] = mode;
+	this.emit('release', sem, handle, old);
+	this.emit('release:' + sem, handle, old);
+	this.emit('acquire', sem, handle, mode);
+	this.emit('acquire:' + sem, handle, mode);
+};
+
+/**
+ * Increments a statistics counter for each semaphore that a request is still
+ * waiting for, if statistics are enabled.
+ * @param {number} handle The handle of the waiting request
+ * @param {string} counter The name of the counter to increment
+ * @private
+ */
+Semlocks.prototype._countWaiting = function(handle, counter) {
+	if (this._stats) {
+		this._reqs.get(handle).sems.forEach(function(sem) {
+			var queue = this._semQueues.get(sem);
+			if (queue && queue.indexOf(handle) > -1)
+				this._stats.increment(sem, counter);
+		}, this);
+	}
+};
+
+/**
+ * Validates and creates a queue limit for {@link #setMaxQueue} or
+ * {@link #setDefaultMaxQueue}.
+ * @param {number|null} max The most requests that can wait, or null for no
+ *      limit
+ * @param {string} [policy='reject'] The policy from {@link QUEUE_POLICIES}
+ * @returns {{max: number, policy: string}|null} The queue limit, or null if
+ *      there is none.
+ * @throws {Error} If the max or policy is invalid
+ * @private
+ */
+Semlocks.prototype._createQueueLimit = function(max, policy) {
+	if (max === null || max === undefined)
+		return null;
+	if (typeof max != 'number' || !(max >= 0))
+		throw new Error('Invalid max queue: ' + max);
+	policy = policy || 'reject';
+	if (QUEUE_POLICIES.indexOf(policy) == -1)
+		throw new Error('Unknown queue policy: ' + policy);
+	return {max: max, policy: policy};
+};
+
+/**
+ * Removes a request handle from the waiting queue of every semaphore it
+ * requested.  If the handle was first in line for a semaphore, the requests
+ * behind it are granted any locks that are available to them, as are any
+ * requests for related semaphores that were waiting for it.
+ * @param {number} handle The handle to be removed from all queues
+ * @private
+ */
+Semlocks.prototype._dequeue = function(handle) {
+	var heads = [],
+		left = [];
+	this._reqs.get(handle).sems.forEach(function(sem) {
+		var queue = this._semQueues.get(sem),
+			idx = queue ? queue.indexOf(handle) : -1;
+		if (idx > -1) {
+			if (queue.length == 1)
+				this._semQueues.delete(sem);
+			else
+				queue.splice(idx, 1);
+			if (!idx)
+				heads.push(sem);
+			left.push(sem);
+		}
+	}, this);
+	heads.forEach(this._grantEmptySlots, this);
+	left.forEach(this._grantRelated, this);
+	left.forEach(this._updateSaturation, this);
+};
+
+/**
+ * Fails a request that is still waiting for locks.  The request is removed
+ * from every queue immediately, so that it won't be granted anything further
+ * and won't block anything behind it.  It's then canceled with the given
+ * error in the next tick, releasing any locks it already held, so that the
+ * callback is never called before {@link #acquire} has returned the handle.
+ * @param {number} handle The handle of the request to fail
+ * @param {Error} err The error to be passed to the request's callback
+ * @private
+ */
+Semlocks.prototype._reject = function(handle, err) {
+	this._reqs.get(handle).remain = 0;
+	this._dequeue(handle);
+	setImmediate(this._cancel.bind(this, handle, err, 'rejected'));
+};
+
+/**
+ * Fails every request waiting for a semaphore whose weight for it is more
+ * than the semaphore's max, after that max has been lowered.  Otherwise they
+ * could never be granted, and would hold back every request behind them.
+ * @param {string} sem The semaphore whose max was lowered
+ * @private
+ */
+Semlocks.prototype._rejectOverweight = function(sem) {
+	(this._semQueues.get(sem) || []).slice().forEach(function(handle) {
+		if (this._isOverweight(handle, sem))
+			this._reject(handle, new errors.WeightError(sem));
+	}, this);
+};
+
+/**
+ * Checks whether the given request is part of a deadlock and, if so, handles
+ * it according to the current deadlock policy.  If the request chosen to
+ * break the deadlock has already been granted, only its pending upgrades are
+ * failed; otherwise, the whole request is.
+ *
+ * Emits a 'deadlock' event if a cycle is found.
+ * @param {number} handle The handle of a request that has just started
+ *      waiting, has just been granted some but not all of its locks, or has
+ *      just started waiting to upgrade one
+ * @private
+ */
+Semlocks.prototype._detectDeadlock = function(handle) {
+	var cycle = this._findCycle(handle),
+		victim = null,
+		err;
+	if (cycle) {
+		if (this._deadlockPolicy != 'emit') {
+			victim = this._getDeadlockVictim(cycle.handles);
+			err = new errors.DeadlockError(cycle.handles, cycle.sems);
+			// A granted request can only be waiting on an upgrade, and failing
+			// that leaves it holding the locks it already had
+			if (this._reqs.get(victim).remain)
+				this._reject(victim, err);
+			else {
+				this._getUpgrades(victim).forEach(function(upgrade) {
+					this._finishUpgrade(upgrade, err);
+				}, this);
+			}
+		}
+		this.emit('deadlock', cycle.handles, cycle.sems, victim);
+	}
+};
+
+/**
+ * Emits a 'capChanged' event for a change to a semaphore's max locks, or to
+ * the default max.
+ * @param {string|null} sem The semaphore whose max changed, or null if the
+ *      default max changed
+ * @param {number} prev The max before the change
+ * @param {number} cap The max after the change
+ * @private
+ */
+Semlocks.prototype._emitCapChange = function(sem, prev, cap) {
+	this.emit('capChanged', {semaphore: sem, previous: prev, max: cap,
+		time: Date.now()});
+};
+
+/**
+ * Emits a lifecycle event for a request, passing the request's details as
+ * described by {@link #getRequest}.
+ * @param {string} event The event to emit
+ * @param {number} handle The handle of the request
+ * @private
+ */
+Semlocks.prototype._emitRequest = function(event, handle) {
+	var info = this._getEventInfo(event, handle);
+	if (info)
+		this.emit(event, info);
+};
+
+/**
+ * Adds a request handle to a semaphore queue, keeping that queue in order by
+ * request priority, after aging.  If the semaphore has fair queueing, the
+ * request is placed after every request of the same priority with an earlier
+ * turn; see {@link #_tagFairRequest}.
+ * @param {string} sem The semaphore whose queue should be manipulated
+ * @param {number} handle The handle of the request to be added to the sem's
+ *      queue.
+ * @private
+ */
+Semlocks.prototype._enqueue = function(sem, handle) {
+	if (!this._semQueues.has(sem)) {
+		this._semQueues.set(sem, []);
+		if (this._fair.hasOwnProperty(sem))
+			this._fair[sem] = {vtime: 0, tags: {}};
+	}
+	var now = Date.now(),
+		queue = this._semQueues.get(sem),
+		targetPri = this._getPriority(handle, now),
+		targetTag = this._tagFairRequest(handle, sem),
+		inserted = false;
+	for (var i = 0; i < queue.length; i++) {
+		var curPri = this._getPriority(queue[i], now);
+		if (curPri > targetPri || (curPri == targetPri &&
+				this._getFairTag(queue[i], sem) > targetTag)) {
+			queue.splice(i, 0, handle);
+			inserted = true;
+			break;
+		}
+	}
+	if (!inserted)
+		queue.push(handle);
+	if (this._stats)
+		this._stats.queued(sem, queue.length);
+};
+
+/**
+ * Grants locks to queued handles for a given semaphore, in queue order, for as
+ * long as the request at the front of the queue can be granted.  Requests are
+ * never granted out of order, so a request that can't yet be satisfied holds
+ * its place rather than being passed by the requests behind it.  The only
+ * exception is for requests blocked by their group's max, which are passed
+ * over; see {@link #_getHead}.  If priority aging is enabled, the queue is
+ * reordered first.  If the request at the front is held back by the
+ * semaphore's rate limit, the queue will be serviced again once the limit
+ * allows.
+ * @param {string} sem The semaphore with empty slots to be filled
+ * @private
+ */
+Semlocks.prototype._grantEmptySlots = function(sem) {
+	var head;
+	if (this._aging)
+		this._sortQueue(sem);
+	do {
+		head = this._getHead(sem);
+	} while (head !== null && this._grantRequest(head, sem));
+	if (head !== null)
+		this._scheduleRateLimit(sem);
+};
+
+/**
+ * Finishes a request that has released every lock, so that it's forgotten
+ * and its timers are stopped.
+ * @param {number} handle The handle of the request to be finished
+ * @returns {{}|null} The request's details for the 'released' event, which
+ *      should be emitted by the caller, or null if nothing is listening.
+ * @private
+ */
+Semlocks.prototype._finish = function(handle) {
+	var req = this._reqs.get(handle),
+		info = this._getEventInfo('released', handle);
+	clearTimeout(req.ttlTimer);
+	clearTimeout(req.heartbeatTimer);
+	clearTimeout(req.leakTimer);
+	this._reqs.delete(handle);
+	return info;
+};
+
+/**
+ * Ends a pending upgrade, calling its callback in the next tick.  If the
+ * upgrade failed, the requests it was holding back are granted any locks
+ * that are now available.  Upgrades that have already ended are ignored.
+ * @param {{handle: number, sem: string, cb: function|null, timeout: {}|null}}
+ *      upgrade The pending upgrade
+ * @param {Error|null} err The error with which the upgrade failed, or null
+ *      if it was granted
+ * @private
+ */
+Semlocks.prototype._finishUpgrade = function(upgrade, err) {
+	if (this._upgrades[upgrade.sem] !== upgrade)
+		return;
+	delete this._upgrades[upgrade.sem];
+	if (upgrade.timeout)
+		clearTimeout(upgrade.timeout);
+	if (upgrade.cb)
+		setImmediate(upgrade.cb.bind(null, err));
+	if (err) {
+		this._grantEmptySlots(upgrade.sem);
+		this._grantRelated(upgrade.sem);
+	}
+};
+
+/**
+ * Ends a request's wait on a condition, calling its callback in the next
+ * tick.  If the wait failed while the request was queued to re-acquire its
+ * lock, it leaves the queue.  Waits that have already ended are ignored.
+ * @param {{handle: number, sem: string, condition: string, cb: function|null,
+ *      timeout: {}|null}} waiter The request's wait
+ * @param {Error|null} err The error with which the wait failed, or null if
+ *      the lock was re-acquired after a notification
+ * @private
+ */
+Semlocks.prototype._finishWait = function(waiter, err) {
+	var req = this._reqs.get(waiter.handle),
+		queue = this._semQueues.get(waiter.sem);
+	if (!req || !req.waits || req.waits[waiter.sem] !== waiter)
+		return;
+	delete req.waits[waiter.sem];
+	clearTimeout(waiter.timeout);
+	this._removeWaiter(waiter);
+	if (queue && queue.indexOf(waiter.handle) > -1) {
+		if (queue.length == 1)
+			this._semQueues.delete(waiter.sem);
+		else
+			queue.splice(queue.indexOf(waiter.handle), 1);
+		this._grantEmptySlots(waiter.sem);
+		this._grantRelated(waiter.sem);
+		this._updateSaturation(waiter.sem);
+	}
+	if (waiter.cb)
+		setImmediate(waiter.cb.bind(null, err));
+};
+
+/**
+ * Searches the wait-for graph for a cycle that passes through the given
+ * request.  As the graph only changes when a request starts waiting or when a
+ * waiting request is granted a lock, any new cycle must include the request
+ * that caused that change.  The search is depth-first, so the returned path
+ * is a genuine chain of requests each waiting on the next.
+ * @param {number} origin The handle of the request to start from
+ * @returns {{handles: Array<number>, sems: Array<string>}|null} The handles
+ *      in the cycle, beginning with origin, and the semaphore each one is
+ *      waiting on for the next; or null if there is no cycle.
+ * @private
+ */
+Semlocks.prototype._findCycle = function(origin) {
+	var visited = {},
+		scanned = {},
+		stack = [{
+			handle: origin,
+			edges: this._getWaitEdges(origin, origin, scanned),
+			idx: 0
+		}],
+		frame,
+		edge;
+	visited[origin] = true;
+	while (stack.length) {
+		frame = stack[stack.length - 1];
+		if (frame.idx >= frame.edges.length) {
+			stack.pop();
+			continue;
+		}
+		edge = frame.edges[frame.idx++];
+		if (edge.handle == origin) {
+			return {
+				handles: stack.map(function(f) { return f.handle; }),
+				sems: stack.map(function(f) { return f.edges[f.idx - 1].sem; })
+			};
+		}
+		if (!visited[edge.handle]) {
+			visited[edge.handle] = true;
+			stack.push({
+				handle: edge.handle,
+				edges: this._getWaitEdges(edge.handle, origin, scanned),
+				idx: 0
+			});
+		}
+	}
+	return null;
+};
+
+/**
+ * Chooses which request in a deadlocked cycle should be canceled, according
+ * to the current deadlock policy.  Requests that are only waiting for their
+ * nested requests aren't chosen while others can be, as failing them would
+ * leave their locks held and the cycle in place.
+ * @param {Array<number>} handles The handles of the requests in the cycle
+ * @returns {number} The handle of the request to be canceled
+ * @private
+ */
+Semlocks.prototype._getDeadlockVictim = function(handles) {
+	var byPriority = this._deadlockPolicy == 'lowestPriority',
+		self = this,
+		waiting = handles.filter(function(handle) {
+			return self._reqs.get(handle).remain ||
+				self._getUpgrades(handle).length;
+		});
+	if (waiting.length)
+		handles = waiting;
+	return handles.reduce(function(victim, handle) {
+		var cur = self._reqs.get(victim),
+			req = self._reqs.get(handle);
+		if (byPriority && req.priority != cur.priority)
+			return req.priority > cur.priority ? handle : victim;
+		if (req.created != cur.created)
+			return req.created > cur.created ? handle : victim;
+		return handle > victim ? handle : victim;
+	});
+};
+
+/**
+ * Gets the edges leading out of a request in the wait-for graph: one for each
+ * request holding a full semaphore that this request is waiting on, one for
+ * each request ahead of it in line for any semaphore, one for each request
+ * in its group holding a semaphore for which the group is at its max, and
+ * one for each conflicting request on a related semaphore.  A request
+ * waiting to upgrade a lock also has an edge to every other request holding
+ * that semaphore or a related one, and a request with nested requests still
+ * waiting for locks has an edge to each of them, as its callback can't finish
+ * until they're granted.
+ *
+ * To keep the search linear, each semaphore's holders and queue positions are
+ * only turned into edges once per search, tracked in the `scanned` object.
+ * Waiting requests for a single semaphore are skipped as well: they hold no
+ * locks, and any request behind them already waits on everything they wait
+ * on.
+ * @param {number} handle The handle whose edges should be returned
+ * @param {number} origin The handle the search started from, which is never
+ *      skipped
+ * @param {{}} scanned A mapping of semaphores to the queue position up to
+ *      which edges have already been generated
+ * @returns {Array<{handle: number, sem: string}>} The handles this request is
+ *      waiting on, along with the semaphore each is blocking.
+ * @private
+ */
+Semlocks.prototype._getWaitEdges = function(handle, origin, scanned) {
+	var edges = [];
+	this._reqs.get(handle).sems.forEach(function(sem) {
+		var queue = this._semQueues.get(sem),
+			pos = queue ? queue.indexOf(handle) : -1;
+		if (pos == -1)
+			return;
+		if (!scanned.hasOwnProperty(sem)) {
+			scanned[sem] = 0;
+			if (this._sems.has(sem) && !this._hasCapacity(handle, sem)) {
+				this._sems.get(sem).forEach(function(holder) {
+					if (holder != handle)
+						edges.push({handle: holder, sem: sem});
+				});
+			}
+		}
+		for (var i = scanned[sem]; i < pos; i++) {
+			if ((queue[i] == origin ||
+					this._reqs.get(queue[i]).sems.length > 1) &&
+					!this._isGroupCapped(queue[i], sem))
+				edges.push({handle: queue[i], sem: sem});
+		}
+		scanned[sem] = Math.max(scanned[sem], pos);
+		if (this._isGroupCapped(handle, sem)) {
+			this._getGroupHolders(handle, sem).forEach(function(holder) {
+				edges.push({handle: holder, sem: sem});
+			});
+		}
+		this._getRelatedConflicts(handle, sem).forEach(function(conflict) {
+			edges.push({handle: conflict.handle, sem: sem});
+		});
+	}, this);
+	this._getUpgrades(handle).forEach(function(upgrade) {
+		var sem = upgrade.sem;
+		this._sems.get(sem).forEach(function(holder) {
+			if (holder != handle)
+				edges.push({handle: holder, sem: sem});
+		});
+		this._getRelatedConflicts(handle, sem, 'exclusive').forEach(
+			function(conflict) {
+				if (this._holds(conflict.handle, conflict.sem))
+					edges.push({handle: conflict.handle, sem: sem});
+			}, this);
+	}, this);
+	this._getNested(handle).forEach(function(child) {
+		var pending = this._reqs.get(child).sems.filter(function(sem) {
+			var queue = this._semQueues.get(sem);
+			return queue && queue.indexOf(child) > -1;
+		}, this);
+		if (pending.length)
+			edges.push({handle: child, sem: pending[0]});
+	}, this);
+	return edges;
+};
+
+/**
+ * Gets the open requests that were made from inside a request's callback, as
+ * recorded by {@link #_addNested}.
+ * @param {number} handle The handle of the enclosing request
+ * @returns {Array<number>} The handles of its open nested requests
+ * @private
+ */
+Semlocks.prototype._getNested = function(handle) {
+	return (this._reqs.get(handle).nested || []).filter(function(child) {
+		var req = this._reqs.get(child);
+		return !!req && req.parent === handle;
+	}, this);
+};
+
+/**
+ * Gets the next handle ID to be associated with a semaphore request.  This
+ * ID is an integer that increments with each call, resetting to zero when it
+ * reaches the instance's handle limit, which is {@link HANDLE_LIMIT} by
+ * default.  Instances created with the `uniqueHandles` option never reset.
+ * @returns {number} The next available handle ID
+ * @private
+ */
+Semlocks.prototype._getNextHandle = function() {
+	if (this._curId >= this._handleLimit && !this._uniqueHandles)
+		this._curId = 0;
+	return this._curId++;
+};
+
+/**
+ * Gets the details of a request to be passed with a lifecycle event, as
+ * described by {@link #getRequest}.  These are only gathered if something is
+ * listening for the event.
+ * @param {string} event The event about to be emitted
+ * @param {number} handle The handle of the request
+ * @returns {{}|null} The request's details, or null if the event has no
+ *      listeners.
+ * @private
+ */
+Semlocks.prototype._getEventInfo = function(event, handle) {
+	if (!this.listeners(event).length)
+		return null;
+	return this.getRequest(handle);
+};
+
+/**
+ * Gets the turn a request was given in a semaphore's queue by fair
+ * queueing.
+ * @param {number} handle The handle of the waiting request
+ * @param {string} sem The semaphore it's waiting for
+ * @returns {number} The request's turn, or 0 if it wasn't given one.
+ * @private
+ */
+Semlocks.prototype._getFairTag = function(handle, sem) {
+	var tags = this._reqs.get(handle).fairTags;
+	return tags && tags.hasOwnProperty(sem) ? tags[sem] : 0;
+};
+
+/**
+ * Gets the requests in the same group as the given request that hold a
+ * semaphore.
+ * @param {number} handle The handle of a request with a group
+ * @param {string} sem The semaphore whose holders should be returned
+ * @returns {Array<number>} The handles of the group's holders, other than
+ *      the given handle.
+ * @private
+ */
+Semlocks.prototype._getGroupHolders = function(handle, sem) {
+	var group = this._reqs.get(handle).group;
+	return (this._sems.get(sem) || []).filter(function(holder) {
+		return holder != handle && this._reqs.get(holder).group === group;
+	}, this);
+};
+
+/**
+ * Gets the request that's next in line for a semaphore: the first request in
+ * its queue that isn't blocked by its group's max.
+ * @param {string} sem The semaphore whose queue should be checked
+ * @returns {number|null} The handle of the next request, or null if there is
+ *      none.
+ * @private
+ */
+Semlocks.prototype._getHead = function(sem) {
+	var queue = this._semQueues.get(sem) || [];
+	for (var i = 0; i < queue.length; i++) {
+		if (!this._isGroupCapped(queue[i], sem))
+			return queue[i];
+	}
+	return null;
+};
+
+/**
+ * Gets the total weight of the locks currently held on a semaphore.
+ * @param {string} sem The semaphore whose holders should be counted
+ * @returns {number} The number of the semaphore's locks that are taken
+ * @private
+ */
+Semlocks.prototype._getHeldWeight = function(sem) {
+	var total = 0;
+	if (this._sems.has(sem)) {
+		this._sems.get(sem).forEach(function(handle) {
+			total += this._getWeight(handle, sem);
+		}, this);
+	}
+	return total;
+};
+
+/**
+ * Gets the mode in which a request holds, or wants, a semaphore.  This is the
+ * mode it was requested in, unless the lock has since been upgraded or
+ * downgraded.
+ * @param {number} handle The handle of the request
+ * @param {string} sem The semaphore it holds or wants
+ * @returns {string} Either 'shared' or 'exclusive'
+ * @private
+ */
+Semlocks.prototype._getMode = function(handle, sem) {
+	var req = this._reqs.get(handle);
+	return req.modes && req.modes.hasOwnProperty(sem) ? req.modes[sem] :
+		req.mode;
+};
+
+/**
+ * Gets the effective priority of a request, after aging.
+ * @param {number} handle The handle of the request
+ * @param {number} now The current time, as a timestamp
+ * @returns {number} The request's priority, lowered according to the
+ *      priority aging policy if it has one.
+ * @private
+ */
+Semlocks.prototype._getPriority = function(handle, now) {
+	var req = this._reqs.get(handle),
+		aging = this._aging;
+	if (!aging || req.priority <= aging.floor)
+		return req.priority;
+	return Math.max(aging.floor,
+		req.priority - (now - req.created) / 1000 * aging.rate);
+};
+
+/**
+ * Finds the request that holds a semaphore on behalf of the current async
+ * context, if locks are reentrant.  The context of each enclosing request is
+ * checked in turn, from the innermost out.
+ * @param {string} sem The semaphore being requested
+ * @param {string} mode The mode in which it's being requested
+ * @returns {number|null} The handle of the request holding the semaphore, or
+ *      null if the current context doesn't hold it in a compatible mode.
+ * @private
+ */
+Semlocks.prototype._getReentrantOwner = function(sem, mode) {
+	var store = this._context && this._context.getStore(),
+		holders = this._sems.get(sem),
+		req,
+		owner;
+	if (!holders)
+		return null;
+	for (; store; store = store.parent) {
+		req = this._reqs.get(store.handle);
+		if (!req)
+			continue;
+		owner = req.reentered && req.reentered.hasOwnProperty(sem) ?
+			req.reentered[sem] : store.handle;
+		if (holders.indexOf(owner) > -1 && (mode != 'exclusive' ||
+				this._getMode(owner, sem) == 'exclusive'))
+			return owner;
+	}
+	return null;
+};
+
+/**
+ * Gets the requests on semaphores related to the given one that prevent a
+ * request from being granted it: those holding a related semaphore, and
+ * those waiting for one that are ahead of the request in priority or age,
+ * where either they or the request want an exclusive lock.  A request
+ * waiting to upgrade a semaphore counts as holding it exclusively.
+ * @param {number} handle The handle of the request that would be granted
+ * @param {string} sem The semaphore it would be granted
+ * @param {string} [mode] The mode in which it would be granted, if not the
+ *      mode in which it holds or wants the semaphore now
+ * @returns {Array<{handle: number, sem: string}>} The conflicting handles,
+ *      along with the related semaphore each holds or is waiting for.  This
+ *      is always empty if no separator has been set.
+ * @private
+ */
+Semlocks.prototype._getRelatedConflicts = function(handle, sem, mode) {
+	var conflicts = [],
+		exclusive = (mode || this._getMode(handle, sem)) == 'exclusive',
+		self = this;
+	if (this._separator === null)
+		return conflicts;
+	var addConflicts = function(store, filter) {
+		store.keys().forEach(function(other) {
+			if (!self._isRelated(sem, other))
+				return;
+			store.get(other).forEach(function(conflict) {
+				if (conflict != handle && filter(conflict) && (exclusive ||
+						self._isExclusive(conflict, other)))
+					conflicts.push({handle: conflict, sem: other});
+			});
+		});
+	};
+	addConflicts(this._sems, function() { return true; });
+	addConflicts(this._semQueues, function(waiter) {
+		return self._isAhead(waiter, handle);
+	});
+	return conflicts;
+};
+
+/**
+ * Gets the {@link Host} through which this instance's locks are shared with
+ * other processes and threads, creating it if necessary.
+ * @returns {Host} This instance's host
+ * @private
+ */
+Semlocks.prototype._getHost = function() {
+	if (!this._host)
+		this._host = new Host(this);
+	return this._host;
+};
+
+/**
+ * Gets the upgrades a request is waiting for.
+ * @param {number} handle The handle of the request
+ * @returns {Array<{handle: number, sem: string}>} The request's pending
+ *      upgrades, as stored by {@link #upgrade}
+ * @private
+ */
+Semlocks.prototype._getUpgrades = function(handle) {
+	return Object.keys(this._upgrades).map(function(sem) {
+		return this._upgrades[sem];
+	}, this).filter(function(upgrade) {
+		return upgrade.handle == handle;
+	});
+};
+
+/**
+ * Gets the number of a semaphore's locks that a request takes when it's
+ * granted.  This is 1 unless the request was made with weights.
+ * @param {number} handle The handle of the request
+ * @param {string} sem The semaphore being requested
+ * @returns {number} The request's weight for the semaphore
+ * @private
+ */
+Semlocks.prototype._getWeight = function(handle, sem) {
+	var weights = this._reqs.get(handle).weights;
+	return weights ? weights[sem] : 1;
+};
+
+/**
+ * Grants a sem lock to a given handle if that semaphore is available and its
+ * rate limit allows, removing that handle from the semaphore's wait queue if
+ * applicable. If this is the last semaphore the request was waiting for, the
+ * request's callback will be scheduled for execution in the next tick.
+ *
+ * Emits 'acquire' and 'acquire:SEMAPHORE' events.
+ * @param {number} handle The handle to which the lock should be granted
+ * @param {string} sem The semaphore to lock
+ * @returns {boolean} true if the semaphore was available and was granted;
+ *      false if the semaphore was not available and therefore not granted.
  * @private
  */
 Semlocks.prototype._grantLock = function(handle, sem) {
-	var cap = this.getMaxLocks(sem);
-	if ((!this._sems[sem] && cap) ||
-			(this._sems[sem] && this._sems[sem].length < cap)) {
+	var req = this._reqs.get(handle),
+		queue = this._semQueues.get(sem),
+		idx,
+		mode;
+	if (this._hasCapacity(handle, sem) && this._hasRate(sem) &&
+			!this._getRelatedConflicts(handle, sem).length) {
+		if (this._rateLimits.hasOwnProperty(sem))
+			this._rateLimits[sem].grants.push(Date.now());
 		// Push to an array of handles currently holding this sem
-		if (!this._sems[sem])
-			this._sems[sem] = [];
-		this._sems[sem].push(handle);
-		// If this handle was waiting in a queue for this sem, shift it out
-		if (this._semQueues[sem] && this._semQueues[sem][0] == handle) {
-			if (this._semQueues[sem].length == 1)
-				delete this._semQueues[sem];
+		if (!this._sems.has(sem))
+			this._sems.set(sem, []);
+		this._sems.get(sem).push(handle);
+		// If this handle was waiting in a queue for this sem, take it out
+		idx = queue ? queue.indexOf(handle) : -1;
+		if (idx > -1) {
+			if (queue.length == 1)
+				this._semQueues.delete(sem);
 			else
-				this._semQueues[sem].shift();
+				queue.splice(idx, 1);
+			this._advanceFairQueue(handle, sem);
+			if (this._saturated.hasOwnProperty(sem))
+				this._updateSaturation(sem);
+		}
+		if (this._stats) {
+			if (!req.grantedAt)
+				req.grantedAt = {};
+			req.grantedAt[sem] = Date.now();
+			this._stats.increment(sem, 'grants');
+			this._stats.observe(sem, 'waitTime',
+				req.grantedAt[sem] - req.created);
+		}
+		// A request that waited on a condition is only re-acquiring its lock
+		if (req.waits && req.waits[sem]) {
+			this._finishWait(req.waits[sem], req.waits[sem].timedOut ?
+				new errors.TimeoutError('Timed out waiting on condition') :
+				null);
 		}
 		// If this is the last sem this handle was waiting for, call the cb
-		if (!--this._reqs[handle].remain) {
-			if (this._reqs[handle].timeout)
-				clearTimeout(this._reqs[handle].timeout);
+		else if (!--req.remain) {
+			if (req.timeout)
+				clearTimeout(req.timeout);
+			if (req.trace)
+				req.trace.grantStack = captureStack();
 			setImmediate(this._callCB.bind(this, handle));
 		}
-		this.emit('acquire', sem, handle);
-		this.emit('acquire:' + sem, handle);
+		// Locks re-acquired after a wait keep any upgrade or downgrade
+		mode = this._getMode(handle, sem);
+		this.emit('acquire', sem, handle, mode);
+		this.emit('acquire:' + sem, handle, mode);
+		// Holding a lock while still waiting for others can form a cycle
+		if (this._deadlockPolicy && this._reqs.get(handle) === req &&
+				req.remain > 0) {
+			this._detectDeadlock(handle);
+		}
 		return true;
 	}
 	return false;
 };
 
 /**
- * Releases a lock held by the given handle.
+ * Grants any available locks to the requests waiting for semaphores related
+ * to the given one, after a request holding or waiting for it has left.
+ * Pending upgrades of related semaphores are granted first.
+ * @param {string} sem The semaphore that was released or dequeued
+ * @private
+ */
+Semlocks.prototype._grantRelated = function(sem) {
+	if (this._separator !== null) {
+		Object.keys(this._upgrades).forEach(function(other) {
+			if (this._isRelated(sem, other))
+				this._grantUpgrade(other);
+		}, this);
+		this._semQueues.keys().forEach(function(other) {
+			if (this._isRelated(sem, other))
+				this._grantEmptySlots(other);
+		}, this);
+	}
+};
+
+/**
+ * Grants locks to a request at the front of a semaphore's wait queue.
+ * Requests that were not made atomically are simply granted that semaphore if
+ * it has an open slot.  Atomic requests are granted every semaphore they
+ * asked for at once, but only if the request is first in line for each of
+ * them and each of them has an open slot within its rate limit; otherwise,
+ * nothing is granted.
+ * @param {number} handle The handle at the front of the semaphore's queue
+ * @param {string} sem The semaphore whose queue is being serviced
+ * @returns {boolean} true if the request was granted its lock(s); false
+ *      otherwise.
+ * @private
+ */
+Semlocks.prototype._grantRequest = function(handle, sem) {
+	var req = this._reqs.get(handle);
+	// Granted requests only queue again to re-acquire a lock after a wait
+	if (!req.atomic || !req.remain)
+		return this._grantLock(handle, sem);
+	// Semaphores held by an enclosing request were never queued
+	var queued = req.sems.filter(function(reqSem) {
+			return !req.reentered || !req.reentered.hasOwnProperty(reqSem);
+		}),
+		ready = queued.every(function(reqSem) {
+			return this._getHead(reqSem) === handle &&
+				this._hasCapacity(handle, reqSem) && this._hasRate(reqSem) &&
+				!this._getRelatedConflicts(handle, reqSem).length;
+		}, this);
+	if (ready) {
+		queued.forEach(function(reqSem) {
+			this._grantLock(handle, reqSem);
+		}, this);
+		// Leaving the other queues may have unblocked the requests behind it
+		queued.forEach(function(reqSem) {
+			if (reqSem != sem)
+				this._grantEmptySlots(reqSem);
+		}, this);
+	}
+	return ready;
+};
+
+/**
+ * Grants the pending upgrade of a semaphore, if there is one and nothing
+ * else holds the semaphore or a conflicting related one.
+ * @param {string} sem The semaphore whose upgrade should be checked
+ * @private
+ */
+Semlocks.prototype._grantUpgrade = function(sem) {
+	var upgrade = this._upgrades.hasOwnProperty(sem) ?
+		this._upgrades[sem] : null;
+	if (upgrade && this._canUpgrade(upgrade.handle, sem)) {
+		this._finishUpgrade(upgrade, null);
+		this._convert(upgrade.handle, sem, 'exclusive');
+	}
+};
+
+/**
+ * Determines whether a semaphore has enough open slots to be granted to a
+ * request, given the mode in which that request wants to lock it and the
+ * number of locks it wants to take.  Nothing can be granted a semaphore that
+ * another request is waiting to upgrade.  Locks on related semaphores are not
+ * considered; see {@link #_getRelatedConflicts}.
+ * @param {number} handle The handle of the request that would be granted
+ * @param {string} sem The semaphore to be checked
+ * @returns {boolean} true if the semaphore's own locks would allow the request
+ *      to be granted right now; false otherwise.
+ * @private
+ */
+Semlocks.prototype._hasCapacity = function(handle, sem) {
+	var holders = this._sems.get(sem) || [],
+		cap = this.getMaxLocks(sem);
+	if (!cap || this._upgrades.hasOwnProperty(sem))
+		return false;
+	if (this._getMode(handle, sem) == 'exclusive')
+		return !holders.length;
+	if (holders.length && this._getMode(holders[0], sem) == 'exclusive')
+		return false;
+	return this._getHeldWeight(sem) + this._getWeight(handle, sem) <= cap;
+};
+
+/**
+ * Determines whether a semaphore's rate limit allows it to be granted right
+ * now, forgetting any grants that have fallen out of the limit's window.
+ * @param {string} sem The semaphore to be checked
+ * @returns {boolean} true if the semaphore has no rate limit, or has been
+ *      granted fewer times than its limit within the last interval; false
+ *      otherwise.
+ * @private
+ */
+Semlocks.prototype._hasRate = function(sem) {
+	var rate = this._rateLimits.hasOwnProperty(sem) ?
+			this._rateLimits[sem] : null,
+		since;
+	if (!rate)
+		return true;
+	since = Date.now() - rate.interval;
+	while (rate.grants.length && rate.grants[0] <= since)
+		rate.grants.shift();
+	return rate.grants.length < rate.limit;
+};
+
+/**
+ * Gets the requests waiting on one of a semaphore's conditions, in the order
+ * they started waiting.
+ * @param {string} sem The semaphore the condition is bound to
+ * @param {string} [condition=''] The name of the condition
+ * @param {boolean} [create=false] If true, the list of waiters is stored if
+ *      it doesn't exist yet, so that it can be added to.
+ * @returns {Array<{}>} The waiting requests
+ * @private
+ */
+Semlocks.prototype._getWaiters = function(sem, condition, create) {
+	var conds = this._conditions.hasOwnProperty(sem) ?
+		this._conditions[sem] : null;
+	condition = condition || '';
+	if (!conds) {
+		if (!create)
+			return [];
+		conds = this._conditions[sem] = {};
+	}
+	if (!conds.hasOwnProperty(condition)) {
+		if (!create)
+			return [];
+		conds[condition] = [];
+	}
+	return conds[condition];
+};
+
+/**
+ * Gets the waits on conditions that a request has started and not yet
+ * finished, whether it's waiting to be notified or to re-acquire its lock.
+ * @param {number} handle The handle of the request
+ * @returns {Array<{}>} The request's waits
+ * @private
+ */
+Semlocks.prototype._getWaits = function(handle) {
+	var req = this._reqs.get(handle);
+	if (!req || !req.waits)
+		return [];
+	return Object.keys(req.waits).map(function(sem) {
+		return req.waits[sem];
+	});
+};
+
+/**
+ * Determines whether a request holds a lock on a semaphore.  Semaphores that
+ * were reentered are not held by the nested request itself.
+ * @param {number} handle The handle of the request
+ * @param {string} sem The semaphore to be checked
+ * @returns {boolean} true if the request holds the semaphore; false otherwise.
+ * @private
+ */
+Semlocks.prototype._holds = function(handle, sem) {
+	return this._sems.has(sem) && this._sems.get(sem).indexOf(handle) > -1;
+};
+
+/**
+ * Determines whether one request is ahead of another in line, using the same
+ * order in which a semaphore's queue is kept: lowest priority number after
+ * aging first, followed by the oldest request.
+ * @param {number} handle The handle of the request that may be ahead
+ * @param {number} other The handle of the request it is compared with
+ * @returns {boolean} true if handle is ahead of other; false otherwise.
+ * @private
+ */
+Semlocks.prototype._isAhead = function(handle, other) {
+	var now = Date.now(),
+		req = this._reqs.get(handle),
+		otherReq = this._reqs.get(other),
+		pri = this._getPriority(handle, now),
+		otherPri = this._getPriority(other, now);
+	if (pri != otherPri)
+		return pri < otherPri;
+	if (req.created != otherReq.created)
+		return req.created < otherReq.created;
+	return handle < other;
+};
+
+/**
+ * Determines whether a request holds or wants a semaphore exclusively,
+ * counting a pending upgrade as exclusive.
+ * @param {number} handle The handle of the request
+ * @param {string} sem The semaphore it holds or wants
+ * @returns {boolean} true if the request's lock excludes all others; false
+ *      otherwise.
+ * @private
+ */
+Semlocks.prototype._isExclusive = function(handle, sem) {
+	return this._getMode(handle, sem) == 'exclusive' ||
+		(this._upgrades.hasOwnProperty(sem) &&
+			this._upgrades[sem].handle == handle);
+};
+
+/**
+ * Determines whether a request is blocked from a semaphore by the max locks
+ * set for its group with {@link #setGroupMaxLocks}.
+ * @param {number} handle The handle of the request
+ * @param {string} sem The semaphore it's requesting
+ * @returns {boolean} true if granting the semaphore would put the request's
+ *      group over its max; false otherwise.
+ * @private
+ */
+Semlocks.prototype._isGroupCapped = function(handle, sem) {
+	var group = this._reqs.get(handle).group,
+		cap = group === null ? null : this.getGroupMaxLocks(sem, group),
+		held = 0;
+	if (cap === null)
+		return false;
+	this._getGroupHolders(handle, sem).forEach(function(holder) {
+		held += this._getWeight(holder, sem);
+	}, this);
+	return held + this._getWeight(handle, sem) > cap;
+};
+
+/**
+ * Determines whether a request wants more of a semaphore's locks than the
+ * semaphore's max allows, so that it could never be granted.  A max of 0
+ * only holds requests back until it's raised, and exclusive locks are granted
+ * regardless of weight, so neither counts.
+ * @param {number} handle The handle of the request
+ * @param {string} sem The semaphore it's requesting
+ * @returns {boolean} true if the request's weight is more than the
+ *      semaphore's max; false otherwise.
+ * @private
+ */
+Semlocks.prototype._isOverweight = function(handle, sem) {
+	var cap = this.getMaxLocks(sem);
+	return cap > 0 && this._getMode(handle, sem) == 'shared' &&
+		this._getWeight(handle, sem) > cap;
+};
+
+/**
+ * Forcibly releases the locks held by a request whose lease has run out.
+ * The request's signal, if it has one, is aborted with an
+ * {@link ExpiredError}.
+ *
+ * Emits a 'killed' event, followed by a 'released' event once the request has
+ * been finished.  Requests that have already finished are ignored.
+ * @param {number} handle The handle of the request to be killed
+ * @param {string} reason Either 'ttl' if the request's TTL was reached, or
+ *      'heartbeat' if it wasn't renewed in time
+ * @private
+ */
+Semlocks.prototype._kill = function(handle, reason) {
+	var req = this._reqs.get(handle),
+		info,
+		sems;
+	if (!req)
+		return;
+	sems = req.sems.filter(function(sem) {
+		return this._holds(handle, sem);
+	}, this);
+	req.killed = true;
+	if (this._stats) {
+		sems.forEach(function(sem) {
+			this._stats.increment(sem, 'ttlKills');
+		}, this);
+	}
+	this.release(handle);
+	if (req.controller) {
+		req.controller.abort(new errors.ExpiredError(reason == 'heartbeat' ?
+			'Locks were released because they were not renewed in time' :
+			undefined));
+	}
+	this.emit('killed', handle, sems, reason);
+	// Listeners may have already canceled the request
+	if (this._reqs.get(handle) === req) {
+		info = this._finish(handle);
+		if (info)
+			this.emit('released', info);
+	}
+};
+
+/**
+ * Determines whether two semaphores are related by the hierarchy defined by
+ * the current separator, meaning that one is the ancestor of the other.
+ * @param {string} sem A semaphore
+ * @param {string} other Another semaphore
+ * @returns {boolean} true if either semaphore is an ancestor of the other;
+ *      false if they are the same or unrelated, or if no separator is set.
+ * @private
+ */
+Semlocks.prototype._isRelated = function(sem, other) {
+	var sep = this._separator;
+	if (sep === null || sem == other)
+		return false;
+	sem = String(sem);
+	other = String(other);
+	return other.indexOf(sem + sep) === 0 || sem.indexOf(other + sep) === 0;
+};
+
+/**
+ * Enforces a semaphore's queue limit after a new request has joined its
+ * queue.  If the queue is now longer than its max, the request chosen by the
+ * limit's policy is failed with a {@link QueueFullError}; see
+ * {@link #setMaxQueue}.  Requests that are only re-acquiring a lock after
+ * waiting on a condition are never chosen.
+ * @param {string} sem The semaphore whose queue the request joined
+ * @param {number} handle The handle of the request that joined it
+ * @private
+ */
+Semlocks.prototype._overflowQueue = function(sem, handle) {
+	var limit = this.getMaxQueue(sem),
+		now = Date.now(),
+		queue = this._semQueues.get(sem) || [],
+		victim = handle;
+	// Requests failed by deadlock detection have already left the queue
+	if (limit && queue.length > limit.max && queue.indexOf(handle) > -1) {
+		queue = queue.filter(function(queued) {
+			return this._reqs.get(queued).remain;
+		}, this);
+		if (limit.policy == 'dropOldest') {
+			victim = queue.reduce(function(oldest, queued) {
+				return this._reqs.get(queued).created <
+					this._reqs.get(oldest).created ? queued : oldest;
+			}.bind(this));
+		}
+		else if (limit.policy == 'dropLowestPriority') {
+			victim = queue.reduce(function(lowest, queued) {
+				var diff = this._getPriority(queued, now) -
+					this._getPriority(lowest, now);
+				return diff > 0 || (!diff && this._reqs.get(queued).created >=
+					this._reqs.get(lowest).created) ? queued : lowest;
+			}.bind(this));
+		}
+		this._reject(victim, new errors.QueueFullError(sem));
+	}
+};
+
+/**
+ * Grants a semaphore to a nested request whose async context already holds
+ * it, without taking any of the semaphore's locks.  If this is the last
+ * semaphore the request was waiting for, its callback will be scheduled for
+ * execution in the next tick.
+ * @param {number} handle The handle of the nested request
+ * @param {string} sem The semaphore being granted
+ * @param {number} owner The handle of the request that truly holds it
+ * @private
+ */
+Semlocks.prototype._reenter = function(handle, sem, owner) {
+	var req = this._reqs.get(handle);
+	if (!req.reentered)
+		req.reentered = {};
+	req.reentered[sem] = owner;
+	if (!--req.remain)
+		setImmediate(this._callCB.bind(this, handle));
+};
+
+/**
+ * Releases a lock held by the given handle.  If the handle was granted the
+ * semaphore by reentering a lock held by an enclosing request, nothing is
+ * truly released; the enclosing request continues to hold it.  If the handle
+ * released the semaphore to wait on a condition, the wait fails, and the
+ * semaphore is counted as released without an event being emitted.
  * @param {number} handle The handle of the request that owns the semaphore
  * @param {string} sem The semaphore to be released
+ * @param {boolean} [keep=false] If true, the lock is released without
+ *      counting toward the release of the whole request, as it will be
+ *      re-acquired after waiting on a condition.
  * @returns {boolean} true if the handle owned the semaphore and it was
  *      released; false if it did not and therefore was not released
  * @private
  */
-Semlocks.prototype._release = function(handle, sem) {
-	var idx = this._sems[sem] ? this._sems[sem].indexOf(handle) : -1;
-	if (idx > -1) {
+Semlocks.prototype._release = function(handle, sem, keep) {
+	var holders = this._sems.get(sem),
+		idx = holders ? holders.indexOf(handle) : -1,
+		req = this._reqs.get(handle),
+		reentered = !!req && !!req.reentered &&
+			req.reentered.hasOwnProperty(sem),
+		waiter = req && req.waits ? req.waits[sem] : undefined,
+		info = null,
+		mode;
+	if (idx == -1 && !reentered && !waiter)
+		return false;
+	if (waiter) {
+		this._finishWait(waiter, new errors.CanceledError(
+			'Lock was released while waiting on a condition'));
+	}
+	else if (reentered)
+		delete req.reentered[sem];
+	else {
+		mode = this._getMode(handle, sem);
+		if (this._upgrades.hasOwnProperty(sem) &&
+				this._upgrades[sem].handle == handle) {
+			this._finishUpgrade(this._upgrades[sem], new errors.CanceledError(
+				'Lock was released before it could be upgraded'));
+		}
 		// Delete the sem if it's no longer held
-		if (this._sems[sem].length == 1)
-			delete this._sems[sem];
+		if (holders.length == 1)
+			this._sems.delete(sem);
 		else
-			this._sems[sem].splice(idx, 1);
+			holders.splice(idx, 1);
+		if (this._stats && req.grantedAt && req.grantedAt[sem]) {
+			this._stats.observe(sem, 'holdTime',
+				Date.now() - req.grantedAt[sem]);
+		}
 		// Grant the sem to the next in line
-		if (this._semQueues[sem] && this._semQueues[sem].length)
-			this._grantLock(this._semQueues[sem][0], sem);
-		// Delete the req if we've released all the semaphores
-		if (++this._reqs[handle].released == this._reqs[handle].sems.length) {
-			if (this._reqs[handle].ttlTimer)
-				clearTimeout(this._reqs[handle].ttlTimer);
-			delete this._reqs[handle];
+		this._grantUpgrade(sem);
+		this._grantEmptySlots(sem);
+		this._grantRelated(sem);
+	}
+	// Delete the req if we've released all the semaphores, unless it's being
+	// killed, in which case it's finished after its 'killed' event
+	if (!keep && ++req.released == req.sems.length && !req.killed)
+		info = this._finish(handle);
+	if (!reentered && !waiter) {
+		this.emit('release', sem, handle, mode);
+		this.emit('release:' + sem, handle, mode);
+	}
+	if (info)
+		this.emit('released', info);
+	return true;
+};
+
+/**
+ * Removes a request's wait from its condition's waiters.  Conditions without
+ * waiters are forgotten, as are semaphores without waiting conditions, so
+ * that using many semaphore names doesn't leave empty entries behind.
+ * @param {{sem: string, condition: string}} waiter The request's wait
+ * @returns {boolean} true if the request was waiting on the condition; false
+ *      if it had already been removed.
+ * @private
+ */
+Semlocks.prototype._removeWaiter = function(waiter) {
+	var waiters = this._getWaiters(waiter.sem, waiter.condition),
+		idx = waiters.indexOf(waiter);
+	if (idx == -1)
+		return false;
+	if (waiters.length > 1)
+		waiters.splice(idx, 1);
+	else {
+		delete this._conditions[waiter.sem][waiter.condition];
+		if (!Object.keys(this._conditions[waiter.sem]).length)
+			delete this._conditions[waiter.sem];
+	}
+	return true;
+};
+
+/**
+ * Reports a request that may have leaked its locks with a 'leak' event and,
+ * if enabled, a warning on the console.  Requests that no longer hold any
+ * locks, or have already been reported for the same reason, are ignored.
+ * @param {number} handle The handle of the request
+ * @param {string} reason Either 'threshold' if the request has held its
+ *      locks for too long, or 'unreleased' if its callback finished without
+ *      releasing them
+ * @private
+ */
+Semlocks.prototype._reportLeak = function(handle, reason) {
+	var req = this._reqs.get(handle),
+		info,
+		msg;
+	if (!this._leaks || !req || !req.trace ||
+			(req.leaked && req.leaked[reason]))
+		return;
+	info = this.getRequest(handle);
+	if (!info.held.length)
+		return;
+	req.leaked = req.leaked || {};
+	req.leaked[reason] = true;
+	info.reason = reason;
+	if (this._leaks.console) {
+		msg = 'Semlocks: request ' + handle;
+		if (reason == 'threshold') {
+			msg += ' has held ' + info.held.join(', ') + ' for ' +
+				(Date.now() - info.trace.grantedAt) + 'ms';
 		}
-		this.emit('release', sem, handle);
-		this.emit('release:' + sem, handle);
-		return true;
+		else {
+			msg += ' finished its callback without releasing ' +
+				info.held.join(', ');
+		}
+		console.warn(msg + '\nAcquired at:\n' + info.trace.acquireStack);
 	}
-	return false;
+	this.emit('leak', info);
 };
 
 /**
- * Requests a lock for a certain request handle.  The lock will either be
- * immediately granted via {@link #_grantLock}, or placed in a waiting queue
- * for this semaphore, to be granted once the request(s) ahead of it releases
- * it.
+ * Requests a lock for a certain request handle.  The handle is placed in the
+ * waiting queue for this semaphore according to its priority, and is granted
+ * the lock via {@link #_grantEmptySlots} if nothing ahead of it is waiting and
+ * a slot is available.
  * @param {number} handle The handle requesting the lock
  * @param {string} sem The semaphore to be locked
  * @returns {boolean} true if the semaphore was successfully locked to the
- *      handle; false if the handle was added to a waiting queue for this
+ *      handle; false if the handle is still waiting in the queue for this
  *      semaphore
  * @private
  */
 Semlocks.prototype._requestLock = function(handle, sem) {
-	if (this._grantLock(handle, sem))
-		return true;
 	this._enqueue(sem, handle);
+	this._grantEmptySlots(sem);
+	if (this._holds(handle, sem))
+		return true;
+	this._updateSaturation(sem);
+	if (this._deadlockPolicy && this._reqs.has(handle))
+		this._detectDeadlock(handle);
 	return false;
 };
 
+/**
+ * Schedules a semaphore's queue to be serviced again when its oldest grant
+ * falls out of its rate limit's window, if the rate limit is what's holding
+ * the queue back and nothing has been scheduled yet.
+ * @param {string} sem The semaphore whose queue is waiting
+ * @private
+ */
+Semlocks.prototype._scheduleRateLimit = function(sem) {
+	var rate = this._rateLimits.hasOwnProperty(sem) ?
+		this._rateLimits[sem] : null;
+	if (!rate || rate.timer || this._hasRate(sem))
+		return;
+	// Timers can fire slightly early, so never schedule for the past
+	rate.timer = setTimeout(function() {
+		rate.timer = null;
+		this._grantEmptySlots(sem);
+	}.bind(this), Math.max(rate.grants[0] + rate.interval - Date.now(), 1));
+};
+
+/**
+ * Starts, or restarts, one of the timers after which a granted request's
+ * locks are killed.
+ * @param {number} handle The handle of the granted request
+ * @param {string} type Either 'ttl' or 'heartbeat'.  The timer and its
+ *      deadline are stored on the request as `<type>Timer` and
+ *      `<type>Deadline`.
+ * @param {number} ms The number of milliseconds from now at which to kill the
+ *      request's locks
+ * @private
+ */
+Semlocks.prototype._setLease = function(handle, type, ms) {
+	var req = this._reqs.get(handle);
+	clearTimeout(req[type + 'Timer']);
+	req[type + 'Deadline'] = Date.now() + ms;
+	req[type + 'Timer'] = setTimeout(this._kill.bind(this, handle, type), ms);
+};
+
+/**
+ * Reorders a semaphore's queue by the effective priority of each request,
+ * which changes over time when priority aging is enabled.  Requests with the
+ * same effective priority keep their order.
+ * @param {string} sem The semaphore whose queue should be sorted
+ * @private
+ */
+Semlocks.prototype._sortQueue = function(sem) {
+	var queue = this._semQueues.get(sem),
+		now = Date.now(),
+		sorted;
+	if (!queue || queue.length < 2)
+		return;
+	sorted = queue.map(function(handle, idx) {
+		return {handle: handle, idx: idx,
+			priority: this._getPriority(handle, now)};
+	}, this).sort(function(a, b) {
+		return a.priority - b.priority || a.idx - b.idx;
+	});
+	sorted.forEach(function(entry, idx) {
+		queue[idx] = entry.handle;
+	});
+};
+
+/**
+ * Gives a request its turn in a semaphore's fair queue, if the semaphore has
+ * one.  Each group's requests take turns that are spaced according to the
+ * group's weight, starting no earlier than the turn of the request most
+ * recently granted the semaphore.  A group that joins the queue late is
+ * therefore interleaved with the groups already waiting, rather than waiting
+ * behind all of them.
+ * @param {number} handle The handle of the request joining the queue
+ * @param {string} sem The semaphore being requested
+ * @returns {number} The request's turn, or 0 if the semaphore doesn't have
+ *      fair queueing.
+ * @private
+ */
+Semlocks.prototype._tagFairRequest = function(handle, sem) {
+	var fair = this._fair.hasOwnProperty(sem) ? this._fair[sem] : null,
+		req = this._reqs.get(handle),
+		key = req.group || '',
+		tag;
+	if (!fair)
+		return 0;
+	tag = Math.max(fair.vtime, fair.tags[key] || 0);
+	fair.tags[key] = tag + 1 / (req.group ? this.getGroupWeight(req.group) : 1);
+	if (!req.fairTags)
+		req.fairTags = {};
+	req.fairTags[sem] = tag;
+	return tag;
+};
+
+/**
+ * Cancels a request that has waited longer than its `wait` option allows.
+ * @param {number} handle The handle of the request that timed out
+ * @param {TimeoutError} err The error to be passed to its callback
+ * @private
+ */
+Semlocks.prototype._timeout = function(handle, err) {
+	this._countWaiting(handle, 'timeouts');
+	this._cancel(handle, err, 'timeout');
+};
+
+/**
+ * Wakes a request waiting on a condition, removing it from the condition's
+ * waiters and queueing it to re-acquire its lock.
+ * @param {{handle: number, sem: string, condition: string}} waiter The
+ *      request's wait
+ * @private
+ */
+Semlocks.prototype._wake = function(waiter) {
+	if (!this._removeWaiter(waiter))
+		return;
+	clearTimeout(waiter.timeout);
+	this._requestLock(waiter.handle, waiter.sem);
+};
+
+/**
+ * Stops listening to the AbortSignal passed in a request's `signal` option,
+ * if it had one.
+ * @param {{}} req The request object
+ * @private
+ */
+Semlocks.prototype._unlisten = function(req) {
+	if (req.signal) {
+		req.signal.removeEventListener('abort', req.onAbort);
+		req.signal = null;
+	}
+};
+
+/**
+ * Fires a 'saturated' event if a semaphore's queue has just filled up to its
+ * limit, or a 'drained' event if a full queue has just gotten shorter than
+ * its limit, or its limit was raised or removed.
+ * @param {string} sem The semaphore whose queue may have changed
+ * @private
+ */
+Semlocks.prototype._updateSaturation = function(sem) {
+	var saturated = this._saturated.hasOwnProperty(sem),
+		limit,
+		queue;
+	if (!saturated && !this._defaultQueueLimit &&
+			!this._queueLimits.hasOwnProperty(sem))
+		return;
+	limit = this.getMaxQueue(sem);
+	queue = this._semQueues.get(sem);
+	if (limit && (queue ? queue.length : 0) >= limit.max) {
+		if (!saturated) {
+			this._saturated[sem] = true;
+			this.emit('saturated', sem, limit.max);
+		}
+	}
+	else if (saturated) {
+		delete this._saturated[sem];
+		this.emit('drained', sem);
+	}
+};
+
+/**
+ * Gets a Semlocks API whose locks are shared by every process in a cluster.
+ * In the primary process, this is the module's default instance, shared with
+ * all current and future cluster workers.  In a worker thread or cluster
+ * worker, this is a {@link Client} connected to the parent, created the first
+ * time this is called.  Worker threads must also be passed to
+ * {@link Semlocks#shareWith} by the thread that created them.
+ * @returns {Semlocks|Client} The instance or client to use in this process
+ */
+var shared = function() {
+	var inWorker = cluster.isWorker || !threads.isMainThread;
+	if (!sharedClient && inWorker)
+		sharedClient = Client.connectToParent();
+	if (sharedClient)
+		return sharedClient;
+	module.exports.shareWithWorkers();
+	return module.exports;
+};
+
 module.exports = new Semlocks();
 module.exports.Semlocks = Semlocks;
+module.exports.get = Semlocks.get;
 module.exports.HANDLE_LIMIT = HANDLE_LIMIT;
+module.exports.DEADLOCK_POLICIES = DEADLOCK_POLICIES;
+module.exports.STATE_VERSION = STATE_VERSION;
+module.exports.LOCK_MODES = LOCK_MODES;
+module.exports.QUEUE_POLICIES = QUEUE_POLICIES;
+module.exports.Barrier = Barrier;
+module.exports.Client = Client;
+module.exports.CountDownLatch = CountDownLatch;
+module.exports.Gate = Gate;
+module.exports.Host = Host;
+module.exports.IpcChannel = IpcChannel;
+module.exports.Journal = Journal;
+module.exports.Lock = Lock;
+module.exports.MemoryBackend = MemoryBackend;
+module.exports.Stats = Stats;
+module.exports.connect = Client.connect;
+module.exports.connectToParent = Client.connectToParent;
+module.exports.shared = shared;
+module.exports.toPrometheus = toPrometheus;
+module.exports.errors = errors;
@@ -0,0 +1,60 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var util = require('util'),
+	events = require('events');
+
+/**
+ * A SocketChannel carries messages between a {@link Host} and a
+ * {@link Client} over a stream socket, such as a Unix domain socket or a
+ * Windows named pipe.  Each message is sent as a single line of JSON.
+ *
+ * Every channel, regardless of transport, has the same interface: a
+ * `send(msg)` function, a `close()` function, and 'message', 'close' and
+ * 'error' events.
+ * @param {net.Socket} socket A connected (or connecting) socket
+ * @constructor
+ */
+var SocketChannel = function(socket) {
+	var self = this,
+		buffer = '';
+	events.EventEmitter.call(this);
+	this._socket = socket;
+	socket.setEncoding('utf8');
+	socket.on('data', function(chunk) {
+		var lines = (buffer + chunk).split('\n');
+		buffer = lines.pop();
+		lines.forEach(function(line) {
+			var msg;
+			try {
+				msg = JSON.parse(line);
+			}
+			catch (e) {
+				return self.emit('error', e);
+			}
+			self.emit('message', msg);
+		});
+	});
+	socket.on('close', this.emit.bind(this, 'close'));
+	socket.on('error', this.emit.bind(this, 'error'));
+};
+util.inherits(SocketChannel, events.EventEmitter);
+
+/**
+ * Closes the underlying socket.  A 'close' event will follow.
+ */
+SocketChannel.prototype.close = function() {
+	this._socket.end();
+};
+
+/**
+ * Sends a message to the other end of the channel.
+ * @param {{}} msg A JSON-serializable message
+ */
+SocketChannel.prototype.send = function(msg) {
+	this._socket.write(JSON.stringify(msg) + '\n');
+};
+
+module.exports = SocketChannel;
@@ -0,0 +1,154 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+/**
+ * The upper bounds, in milliseconds, of the buckets into which wait and hold
+ * durations are counted.
+ * @type {Array<number>}
+ */
+const BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * The counters tracked for each semaphore.
+ * @type {Array<string>}
+ */
+const COUNTERS = ['requests', 'grants', 'timeouts', 'instantFailures',
+	'ttlKills'];
+
+/**
+ * The histograms tracked for each semaphore.
+ * @type {Array<string>}
+ */
+const HISTOGRAMS = ['waitTime', 'holdTime'];
+
+/**
+ * Creates an empty histogram.
+ * @returns {{count: number, sum: number, max: number, buckets: {}}} A
+ *      histogram with no observations
+ */
+var createHistogram = function() {
+	var buckets = {};
+	BUCKETS.forEach(function(bound) {
+		buckets[bound] = 0;
+	});
+	return {count: 0, sum: 0, max: 0, buckets: buckets};
+};
+
+/**
+ * Stats collects the counters and histograms that describe how each
+ * semaphore of a Semlocks instance is being used.
+ * @constructor
+ */
+var Stats = function() {
+	this._sems = {};
+};
+
+/**
+ * Gets a copy of the statistics for one semaphore, or for all of them.  The
+ * statistics for a semaphore are:
+ *      - requests: The number of requests made for it
+ *      - grants: The number of locks granted on it
+ *      - timeouts: The number of requests that timed out waiting for it
+ *      - instantFailures: The number of instant requests that couldn't get it
+ *      - ttlKills: The number of its locks released by a TTL or a missed
+ *        heartbeat
+ *      - maxQueueDepth: The most requests ever waiting for it at once
+ *      - waitTime: A histogram of the milliseconds from each request until
+ *        it was granted the semaphore
+ *      - holdTime: A histogram of the milliseconds each lock was held
+ * Histograms contain the `count`, `sum`, and `max` of their observations,
+ * and `buckets`, which maps each of {@link BUCKETS} to the number of
+ * observations less than or equal to it.
+ * @param {string} [sem] The semaphore whose statistics should be returned
+ * @returns {{}} The statistics for the given semaphore, or an object mapping
+ *      every semaphore with statistics to its own.
+ */
+Stats.prototype.get = function(sem) {
+	var all = {};
+	if (sem !== undefined)
+		return JSON.parse(JSON.stringify(this._getSem(sem, true)));
+	Object.keys(this._sems).forEach(function(name) {
+		all[name] = this.get(name);
+	}, this);
+	return all;
+};
+
+/**
+ * Increments one of a semaphore's counters.
+ * @param {string} sem The semaphore being counted
+ * @param {string} counter The name of the counter, from {@link COUNTERS}
+ */
+Stats.prototype.increment = function(sem, counter) {
+	this._getSem(sem)[counter]++;
+};
+
+/**
+ * Records a duration in one of a semaphore's histograms.
+ * @param {string} sem The semaphore being measured
+ * @param {string} histogram The name of the histogram, from
+ *      {@link HISTOGRAMS}
+ * @param {number} ms The duration, in milliseconds
+ */
+Stats.prototype.observe = function(sem, histogram, ms) {
+	var hist = this._getSem(sem)[histogram];
+	hist.count++;
+	hist.sum += ms;
+	hist.max = Math.max(hist.max, ms);
+	BUCKETS.forEach(function(bound) {
+		if (ms <= bound)
+			hist.buckets[bound]++;
+	});
+};
+
+/**
+ * Records the number of requests waiting for a semaphore, so that its
+ * deepest queue can be tracked.
+ * @param {string} sem The semaphore whose queue has grown
+ * @param {number} depth The number of requests now waiting for it
+ */
+Stats.prototype.queued = function(sem, depth) {
+	var stats = this._getSem(sem);
+	stats.maxQueueDepth = Math.max(stats.maxQueueDepth, depth);
+};
+
+/**
+ * Clears the statistics for one semaphore, or for all of them.
+ * @param {string} [sem] The semaphore whose statistics should be cleared
+ */
+Stats.prototype.reset = function(sem) {
+	if (sem === undefined)
+		this._sems = {};
+	else
+		delete this._sems[sem];
+};
+
+/**
+ * Gets the statistics object for a semaphore.
+ * @param {string} sem The semaphore whose statistics are needed
+ * @param {boolean} [peek=false] If true, an empty object is returned for a
+ *      semaphore without statistics, rather than being stored.
+ * @returns {{}} The semaphore's statistics
+ * @private
+ */
+Stats.prototype._getSem = function(sem, peek) {
+	var stats = this._sems.hasOwnProperty(sem) ? this._sems[sem] : null;
+	if (!stats) {
+		stats = {maxQueueDepth: 0};
+		COUNTERS.forEach(function(counter) {
+			stats[counter] = 0;
+		});
+		HISTOGRAMS.forEach(function(histogram) {
+			stats[histogram] = createHistogram();
+		});
+		if (!peek)
+			this._sems[sem] = stats;
+	}
+	return stats;
+};
+
+module.exports = Stats;
+module.exports.BUCKETS = BUCKETS;
+module.exports.COUNTERS = COUNTERS;
+module.exports.HISTOGRAMS = HISTOGRAMS;
@@ -0,0 +1,158 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var util = require('util');
+
+/**
+ * The base class for all errors generated by Semlocks.  Checking an error
+ * against this class will tell you whether it originated from a lock request
+ * rather than from your own code.
+ * @param {string} message A description of the error
+ * @constructor
+ */
+var SemlocksError = function(message) {
+	Error.call(this);
+	Error.captureStackTrace(this, this.constructor);
+	this.message = message;
+};
+util.inherits(SemlocksError, Error);
+SemlocksError.prototype.name = 'SemlocksError';
+
+/**
+ * Passed when a request's locks could not all be obtained within the number
+ * of milliseconds specified by its `wait` option.
+ * @param {string} [message] A description of the error
+ * @constructor
+ */
+var TimeoutError = function(message) {
+	SemlocksError.call(this,
+		message || 'Failed to acquire all locks within allotted time');
+};
+util.inherits(TimeoutError, SemlocksError);
+TimeoutError.prototype.name = 'TimeoutError';
+
+/**
+ * Passed when a request specified the `instant` option, but its locks could
+ * not all be obtained immediately.
+ * @param {string} [message] A description of the error
+ * @constructor
+ */
+var InstantError = function(message) {
+	SemlocksError.call(this,
+		message || 'Could not acquire all locks instantly');
+};
+util.inherits(InstantError, SemlocksError);
+InstantError.prototype.name = 'InstantError';
+
+/**
+ * Used to reject a pending promise when its request is canceled without a
+ * more specific error.
+ * @param {string} [message] A description of the error
+ * @constructor
+ */
+var CanceledError = function(message) {
+	SemlocksError.call(this, message || 'Lock request was canceled');
+};
+util.inherits(CanceledError, SemlocksError);
+CanceledError.prototype.name = 'CanceledError';
+
+/**
+ * Passed to a request that was canceled in order to break a deadlock, when
+ * a deadlock policy that fails requests is in effect.
+ * @param {Array<number>} handles The handles of the requests forming the
+ *      cycle, each waiting for the next, with the last waiting for the first
+ * @param {Array<string>} sems The semaphores on which each of those requests
+ *      is waiting
+ * @constructor
+ */
+var DeadlockError = function(handles, sems) {
+	SemlocksError.call(this, 'Deadlock detected between requests ' +
+		handles.join(', '));
+	this.handles = handles;
+	this.sems = sems;
+};
+util.inherits(DeadlockError, SemlocksError);
+DeadlockError.prototype.name = 'DeadlockError';
+
+/**
+ * Passed to a request that was still waiting for locks when the AbortSignal
+ * given in its `signal` option was aborted.
+ * @param {*} [reason] The signal's abort reason
+ * @constructor
+ */
+var AbortError = function(reason) {
+	SemlocksError.call(this, 'Lock request was aborted');
+	this.reason = reason;
+};
+util.inherits(AbortError, SemlocksError);
+AbortError.prototype.name = 'AbortError';
+
+/**
+ * The reason with which a holder's AbortSignal is aborted when its request's
+ * TTL is reached and its locks are forcibly released.
+ * @param {string} [message] A description of the error
+ * @constructor
+ */
+var ExpiredError = function(message) {
+	SemlocksError.call(this,
+		message || 'Locks were released because their TTL was reached');
+};
+util.inherits(ExpiredError, SemlocksError);
+ExpiredError.prototype.name = 'ExpiredError';
+
+/**
+ * Passed to pending requests made through a {@link Client} when its
+ * connection to the {@link Host} is lost.  Any locks held through that
+ * connection are released by the host when this happens.
+ * @param {string} [message] A description of the error
+ * @constructor
+ */
+var ConnectionError = function(message) {
+	SemlocksError.call(this,
+		message || 'Connection to the lock host was closed');
+};
+util.inherits(ConnectionError, SemlocksError);
+ConnectionError.prototype.name = 'ConnectionError';
+
+/**
+ * Passed to a request that was turned away, or dropped from a queue, because
+ * a semaphore's queue was full.  See {@link Semlocks#setMaxQueue}.
+ * @param {string} sem The semaphore whose queue was full
+ * @constructor
+ */
+var QueueFullError = function(sem) {
+	SemlocksError.call(this, 'Queue is full for semaphore: ' + sem);
+	this.sem = sem;
+};
+util.inherits(QueueFullError, SemlocksError);
+QueueFullError.prototype.name = 'QueueFullError';
+
+/**
+ * Passed to a request that asked for more of a semaphore's locks than its max
+ * allows, as it could never be granted.  Requests already waiting are failed
+ * with this error if the max is lowered below their weight.
+ * @param {string} sem The semaphore whose max is too low
+ * @constructor
+ */
+var WeightError = function(sem) {
+	SemlocksError.call(this, 'Weight exceeds the max locks for semaphore: ' +
+		sem);
+	this.sem = sem;
+};
+util.inherits(WeightError, SemlocksError);
+WeightError.prototype.name = 'WeightError';
+
+module.exports = {
+	SemlocksError: SemlocksError,
+	TimeoutError: TimeoutError,
+	InstantError: InstantError,
+	CanceledError: CanceledError,
+	DeadlockError: DeadlockError,
+	AbortError: AbortError,
+	ExpiredError: ExpiredError,
+	ConnectionError: ConnectionError,
+	QueueFullError: QueueFullError,
+	WeightError: WeightError
+};
@@ -0,0 +1,92 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var Stats = require('./Stats');
+
+/**
+ * The Prometheus metric for each counter tracked by {@link Stats}, along with
+ * its help text.
+ * @type {{}}
+ */
+const COUNTER_METRICS = {
+	requests: ['requests_total', 'Requests made for the semaphore'],
+	grants: ['grants_total', 'Locks granted on the semaphore'],
+	timeouts: ['timeouts_total', 'Requests that timed out waiting'],
+	instantFailures: ['instant_failures_total',
+		'Instant requests that could not be granted'],
+	ttlKills: ['ttl_kills_total',
+		'Locks released by reaching their TTL or missing a heartbeat']
+};
+
+/**
+ * The Prometheus metric for each histogram tracked by {@link Stats}, along
+ * with its help text.
+ * @type {{}}
+ */
+const HISTOGRAM_METRICS = {
+	waitTime: ['wait_seconds', 'Time from request until the lock was granted'],
+	holdTime: ['hold_seconds', 'Time each lock was held']
+};
+
+/**
+ * Escapes a semaphore name for use as a label value.
+ * @param {string} sem The semaphore name
+ * @returns {string} The name, with backslashes, quotes and newlines escaped
+ */
+var escapeLabel = function(sem) {
+	return String(sem).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+		.replace(/\n/g, '\\n');
+};
+
+/**
+ * Formats semaphore statistics in the Prometheus text exposition format, for
+ * serving to a Prometheus scraper.  Each semaphore is identified by a
+ * `semaphore` label, and durations are reported in seconds.
+ * @param {{}} stats An object mapping semaphore names to their statistics, as
+ *      returned by {@link Semlocks#getStats} with no arguments.
+ * @param {string} [prefix=semlocks] The prefix for each metric name
+ * @returns {string} The metrics, in Prometheus' text format
+ */
+var toPrometheus = function(stats, prefix) {
+	var lines = [],
+		sems = Object.keys(stats);
+	prefix = (prefix || 'semlocks') + '_';
+	Object.keys(COUNTER_METRICS).forEach(function(counter) {
+		var name = prefix + COUNTER_METRICS[counter][0];
+		lines.push('# HELP ' + name + ' ' + COUNTER_METRICS[counter][1]);
+		lines.push('# TYPE ' + name + ' counter');
+		sems.forEach(function(sem) {
+			lines.push(name + '{semaphore="' + escapeLabel(sem) + '"} ' +
+				stats[sem][counter]);
+		});
+	});
+	lines.push('# HELP ' + prefix + 'max_queue_depth ' +
+		'Most requests waiting for the semaphore at once');
+	lines.push('# TYPE ' + prefix + 'max_queue_depth gauge');
+	sems.forEach(function(sem) {
+		lines.push(prefix + 'max_queue_depth{semaphore="' +
+			escapeLabel(sem) + '"} ' + stats[sem].maxQueueDepth);
+	});
+	Object.keys(HISTOGRAM_METRICS).forEach(function(histogram) {
+		var name = prefix + HISTOGRAM_METRICS[histogram][0];
+		lines.push('# HELP ' + name + ' ' + HISTOGRAM_METRICS[histogram][1]);
+		lines.push('# TYPE ' + name + ' histogram');
+		sems.forEach(function(sem) {
+			var hist = stats[sem][histogram],
+				label = 'semaphore="' + escapeLabel(sem) + '"';
+			Stats.BUCKETS.forEach(function(bound) {
+				lines.push(name + '_bucket{' + label + ',le="' +
+					bound / 1000 + '"} ' + hist.buckets[bound]);
+			});
+			lines.push(name + '_bucket{' + label + ',le="+Inf"} ' +
+				hist.count);
+			lines.push(name + '_sum{' + label + '} ' + hist.sum / 1000);
+			lines.push(name + '_count{' + label + '} ' + hist.count);
+		});
+	});
+	return lines.join('\n') + '\n';
+};
+
+module.exports = toPrometheus;
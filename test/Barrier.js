@@ -0,0 +1,72 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	inst;
+
+describe("Barrier", function() {
+	beforeEach(function() {
+		inst = new semlocks.Semlocks();
+	});
+	it("should hold parties until all have arrived", function(done) {
+		var barrier = new semlocks.Barrier(inst, 'barrier', 3),
+			passed = 0,
+			arrived = function(err) {
+				should.not.exist(err);
+				passed++;
+			};
+		barrier.arrive(arrived);
+		barrier.arrive(arrived);
+		barrier.getWaiting().should.equal(2);
+		setImmediate(function() {
+			passed.should.equal(0);
+			barrier.arrive(arrived);
+			barrier.getWaiting().should.equal(0);
+			setImmediate(function() {
+				passed.should.equal(3);
+				done();
+			});
+		});
+	});
+	it("should close again for the next round", function(done) {
+		var barrier = new semlocks.Barrier(inst, 'barrier', 2);
+		barrier.arrive();
+		barrier.arrive(function(err) {
+			should.not.exist(err);
+			barrier.arrive({instant: true}, function(err) {
+				should.exist(err);
+				err.should.be.an.instanceOf(semlocks.errors.InstantError);
+				done();
+			});
+		});
+	});
+	it("should let an instant last party through", function() {
+		var barrier = new semlocks.Barrier(inst, 'barrier', 2),
+			first = barrier.arriveAsync();
+		return barrier.arriveAsync({instant: true}).then(function() {
+			return first;
+		});
+	});
+	it("should stop counting parties that give up", function(done) {
+		var barrier = new semlocks.Barrier(inst, 'barrier', 2);
+		barrier.arrive({wait: 5}, function(err) {
+			should.exist(err);
+			err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+			barrier.getWaiting().should.equal(0);
+			barrier.arrive({instant: true}, function(err) {
+				should.exist(err);
+				done();
+			});
+		});
+	});
+	it("should reject invalid numbers of parties", function() {
+		[0, 1.5, '2'].forEach(function(parties) {
+			(function() {
+				new semlocks.Barrier(inst, 'barrier', parties);
+			}).should.throw(/^Invalid number of parties/);
+		});
+	});
+});
@@ -0,0 +1,300 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	os = require('os'),
+	path = require('path'),
+	semlocks = require('../lib/Semlocks'),
+	sockPath = path.join(os.tmpdir(), 'semlocks-test-' + process.pid + '.sock'),
+	itSignals = require('./support/helpers').itSignals,
+	inst,
+	server,
+	client;
+
+describe("Client", function() {
+	beforeEach(function(done) {
+		inst = new semlocks.Semlocks();
+		server = inst.listen(sockPath, function() {
+			client = semlocks.connect(sockPath, done);
+		});
+	});
+	afterEach(function(done) {
+		client.close();
+		server.close(function() { done(); });
+	});
+	it("should acquire locks from the host", function(done) {
+		client.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.getLocks().should.eql({foo: 1});
+			release();
+			client.getLocks(function(err, locks) {
+				should.not.exist(err);
+				locks.should.eql({});
+				done();
+			});
+		});
+	});
+	it("should share locks with requests on the host", function(done) {
+		var order = [];
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			client.acquire('foo', function(err, release) {
+				should.not.exist(err);
+				order.push('client');
+				order.should.eql(['host', 'client']);
+				release();
+				done();
+			});
+			setTimeout(function() {
+				order.push('host');
+				release();
+			}, 10);
+		});
+	});
+	it("should release individual sems on the host", function(done) {
+		client.acquire(['foo', 'bar'], function(err, release) {
+			should.not.exist(err);
+			release('foo');
+			client.getLocks(function(err, locks) {
+				should.not.exist(err);
+				locks.should.eql({bar: 1});
+				release('bar');
+				client.getLocks(function(err, locks) {
+					should.not.exist(err);
+					locks.should.eql({});
+					done();
+				});
+			});
+		});
+	});
+	it("should upgrade and downgrade locks on the host", function(done) {
+		inst.setMaxLocks('foo', 2);
+		var holder = inst.acquire('foo');
+		client.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			release.upgrade('foo', function(err) {
+				should.not.exist(err);
+				inst.getLocks(true).should.eql({
+					foo: {shared: 0, exclusive: 1}
+				});
+				release.downgrade('foo');
+				client.getLocks(true, function(err, locks) {
+					should.not.exist(err);
+					locks.should.eql({foo: {shared: 1, exclusive: 0}});
+					client.upgrade(99, 'foo', function(err) {
+						err.message.should.match(/not held/);
+						release();
+						done();
+					});
+				});
+			});
+			inst.release(holder);
+		});
+	});
+	itSignals("should cancel host requests when aborted", function(done) {
+		var controller = new AbortController();
+		inst.acquire('foo');
+		client.acquire('foo', {signal: controller.signal}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.AbortError);
+			client.getQueue('foo', function(err, queue) {
+				should.not.exist(err);
+				queue.should.eql([]);
+				done();
+			});
+		});
+		client.getQueue('foo', function(err, queue) {
+			queue.length.should.equal(1);
+			controller.abort();
+		});
+	});
+	itSignals("should abort the holder's signal at its TTL", function(done) {
+		client.acquire('foo', {ttl: 10}, function(err, release) {
+			should.not.exist(err);
+			release.signal.addEventListener('abort', function() {
+				release.signal.reason.should.be.an.instanceOf(
+					semlocks.errors.ExpiredError);
+				done();
+			});
+		});
+	});
+	it("should pass typed errors from the host", function(done) {
+		inst.acquire('foo');
+		client.acquire('foo', {instant: true}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.InstantError);
+			err.message.should.equal('Could not acquire all locks instantly');
+			done();
+		});
+	});
+	it("should cancel pending requests on the host", function(done) {
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			var handle = client.acquire('foo', function(err) {
+				err.message.should.equal('bar');
+				release();
+				client.getLocks(function(err, locks) {
+					should.not.exist(err);
+					locks.should.eql({});
+					done();
+				});
+			});
+			client.cancel(handle, new Error('bar')).should.be.true;
+			client.cancel(handle).should.be.false;
+			client.release(handle).should.be.false;
+		});
+	});
+	it("should cancel pending requests when released", function(done) {
+		var holder = inst.acquire('foo'),
+			handle = client.acquire('foo', function() {
+				done(new Error('Released request was granted'));
+			});
+		client.release(handle).should.be.true;
+		client.release(handle).should.be.false;
+		client.getQueue('foo', function(err, queue) {
+			should.not.exist(err);
+			queue.should.be.empty;
+			inst.release(holder);
+			setTimeout(function() {
+				inst.getLocks().should.eql({});
+				done();
+			}, 10);
+		});
+	});
+	it("should support the promise API", function(done) {
+		client.using('foo', function() {
+			inst.getLocks().should.eql({foo: 1});
+			return 'bar';
+		}).then(function(val) {
+			val.should.equal('bar');
+			return client.acquireAsync('foo');
+		}).then(function(lock) {
+			lock.release();
+			done();
+		}).catch(done);
+	});
+	it("should change caps on the host", function(done) {
+		client.setMaxLocks('foo', 3);
+		client.getMaxLocks('foo', function(err, max) {
+			should.not.exist(err);
+			max.should.equal(3);
+			inst.getMaxLocks('foo').should.equal(3);
+			done();
+		});
+	});
+	it("should limit queues on the host", function(done) {
+		client.setDefaultMaxQueue(10);
+		client.setMaxQueue('foo', 5, 'dropOldest');
+		client.getMaxQueue('foo', function(err, limit) {
+			should.not.exist(err);
+			limit.should.eql({max: 5, policy: 'dropOldest'});
+			inst.getMaxQueue().should.eql({max: 10, policy: 'reject'});
+			done();
+		});
+	});
+	it("should pass errors from host function calls", function(done) {
+		client.setDeadlockPolicy('foo');
+		client.on('error', function(err) {
+			err.message.should.equal('Unknown deadlock policy: foo');
+			done();
+		});
+	});
+	it("should set leak detection on the host", function(done) {
+		client.setLeakDetection({threshold: 5});
+		client.getLeakDetection(function(err, leaks) {
+			should.not.exist(err);
+			leaks.should.eql({threshold: 5, strict: false, console: false});
+			inst.getLeakDetection().should.eql(leaks);
+			done();
+		});
+	});
+	it("should serialize the host's state", function(done) {
+		inst.setMaxLocks('foo', 2);
+		client.serialize(function(err, state) {
+			should.not.exist(err);
+			JSON.parse(state).maxLocks.should.eql({foo: 2});
+			done();
+		});
+	});
+	it("should wait on conditions on the host", function(done) {
+		client.acquire('foo', function(err, release) {
+			release.wait('foo', function(err) {
+				should.not.exist(err);
+				inst.getLocks().should.eql({foo: 1});
+				release();
+				done();
+			});
+			inst.once('release', function() {
+				client.notify('foo', function(err, woken) {
+					should.not.exist(err);
+					woken.should.equal(1);
+				});
+			});
+		});
+	});
+	it("should emit killed events for expired TTLs", function(done) {
+		var handle = client.acquire('foo', {ttl: 5}, function(err) {
+			should.not.exist(err);
+		});
+		client.on('killed', function(killed, sems, reason) {
+			killed.should.equal(handle);
+			sems.should.eql(['foo']);
+			reason.should.equal('ttl');
+			inst.getLocks().should.eql({});
+			done();
+		});
+	});
+	it("should renew and extend locks on the host", function(done) {
+		client.acquire('foo', {ttl: 40, heartbeat: 40}, function(err, release) {
+			should.not.exist(err);
+			release.extend(1000);
+			setTimeout(release.renew, 25);
+			setTimeout(function() {
+				inst.getRequest(0).ttlRemaining.should.be.above(900);
+				inst.getRequest(0).heartbeatRemaining.should.be.above(0);
+				release();
+				done();
+			}, 50);
+		});
+	});
+	it("should release a client's locks when it disconnects", function(done) {
+		var second = semlocks.connect(sockPath);
+		second.acquire(['foo', 'bar'], function(err) {
+			should.not.exist(err);
+			second.close();
+		});
+		second.acquire('bar');
+		second.on('close', function() {
+			setTimeout(function() {
+				inst.getLocks().should.eql({});
+				done();
+			}, 10);
+		});
+	});
+	it("should fail pending requests when disconnected", function(done) {
+		inst.acquire('foo');
+		client.acquire('foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.ConnectionError);
+			done();
+		});
+		setTimeout(client.close.bind(client), 5);
+	});
+	it("should forget requests finished on the host", function(done) {
+		client.acquire('foo', function(err) {
+			should.not.exist(err);
+			inst.forceRelease('foo');
+			client.getLocks(function(err, locks) {
+				should.not.exist(err);
+				locks.should.eql({});
+				// Reuse the finished request's handle on the host
+				inst._curId = 0;
+				inst.acquire('baz').should.equal(0);
+				client.close();
+				setTimeout(function() {
+					inst.getLocks().should.eql({baz: 1});
+					done();
+				}, 20);
+			});
+		});
+	});
+});
@@ -0,0 +1,62 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	itSignals = require('./support/helpers').itSignals,
+	inst;
+
+describe("CountDownLatch", function() {
+	beforeEach(function() {
+		inst = new semlocks.Semlocks();
+	});
+	it("should hold requests until counted down", function(done) {
+		var latch = new semlocks.CountDownLatch(inst, 'latch', 3),
+			passed = false;
+		latch.wait(function(err) {
+			should.not.exist(err);
+			passed = true;
+		});
+		latch.countDown().should.equal(2);
+		latch.countDown().should.equal(1);
+		setImmediate(function() {
+			passed.should.be.false;
+			latch.countDown().should.equal(0);
+			latch.getCount().should.equal(0);
+			setImmediate(function() {
+				passed.should.be.true;
+				done();
+			});
+		});
+	});
+	it("should stay open once it reaches zero", function(done) {
+		var latch = new semlocks.CountDownLatch(inst, 'latch', 2);
+		latch.countDown(5).should.equal(0);
+		latch.countDown().should.equal(0);
+		latch.wait({instant: true}, done);
+	});
+	it("should start open with a count of zero", function() {
+		return new semlocks.CountDownLatch(inst, 'latch', 0)
+			.waitAsync({instant: true});
+	});
+	itSignals("should honor abort signals", function(done) {
+		var latch = new semlocks.CountDownLatch(inst, 'latch', 1),
+			controller = new AbortController();
+		latch.wait({signal: controller.signal}, function(err) {
+			should.exist(err);
+			err.should.be.an.instanceOf(semlocks.errors.AbortError);
+			latch.getCount().should.equal(1);
+			done();
+		});
+		controller.abort();
+	});
+	it("should reject invalid counts", function() {
+		[-1, 1.5, '2', null].forEach(function(count) {
+			(function() {
+				new semlocks.CountDownLatch(inst, 'latch', count);
+			}).should.throw(/^Invalid count/);
+		});
+	});
+});
@@ -0,0 +1,93 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	inst;
+
+describe("Gate", function() {
+	beforeEach(function() {
+		inst = new semlocks.Semlocks();
+	});
+	it("should hold requests until opened", function(done) {
+		var gate = new semlocks.Gate(inst, 'gate'),
+			passed = 0;
+		gate.isOpen().should.be.false;
+		gate.wait(function(err) {
+			should.not.exist(err);
+			passed++;
+		});
+		gate.wait({priority: 1}, function(err) {
+			should.not.exist(err);
+			passed++;
+		});
+		inst.getQueue('gate').length.should.equal(2);
+		setImmediate(function() {
+			passed.should.equal(0);
+			gate.open();
+			gate.isOpen().should.be.true;
+			setImmediate(function() {
+				passed.should.equal(2);
+				inst.getLocks().should.not.have.property('gate');
+				done();
+			});
+		});
+	});
+	it("should let requests straight through while open", function(done) {
+		var gate = new semlocks.Gate(inst, 'gate', true);
+		gate.wait({instant: true}, function(err) {
+			should.not.exist(err);
+			gate.close();
+			gate.wait({instant: true}, function(err) {
+				should.exist(err);
+				err.should.be.an.instanceOf(semlocks.errors.InstantError);
+				done();
+			});
+		});
+	});
+	it("should honor wait limits", function(done) {
+		var gate = new semlocks.Gate(inst, 'gate');
+		gate.wait({wait: 5}, function(err) {
+			should.exist(err);
+			err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+			inst.getQueue('gate').should.be.empty;
+			done();
+		});
+	});
+	it("should fire lifecycle events", function(done) {
+		var gate = new semlocks.Gate(inst, 'gate'),
+			events = [];
+		['queued', 'granted'].forEach(function(event) {
+			inst.on(event, function(info) {
+				events.push([event, info.meta]);
+			});
+		});
+		gate.wait({meta: 'job'}, function() {
+			events.should.eql([['queued', 'job'], ['granted', 'job']]);
+			done();
+		});
+		gate.open();
+	});
+	it("should stay open when serialized and restored", function(done) {
+		var restored = new semlocks.Semlocks();
+		new semlocks.Gate(inst, 'gate', true);
+		restored.restore(inst.serialize());
+		restored.getMaxLocks('gate').should.equal(inst.getMaxLocks('gate'));
+		restored.acquire('gate', {instant: true}, function(err) {
+			should.not.exist(err);
+			done();
+		});
+	});
+	it("should resolve or reject waitAsync", function() {
+		var gate = new semlocks.Gate(inst, 'gate');
+		return gate.waitAsync({instant: true}).then(function() {
+			throw new Error('Gate should have been closed');
+		}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.InstantError);
+			gate.open();
+			return gate.waitAsync({instant: true});
+		});
+	});
+});
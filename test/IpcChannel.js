@@ -0,0 +1,83 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	path = require('path'),
+	threads = require('worker_threads'),
+	semlocks = require('../lib/Semlocks'),
+	IpcChannel = semlocks.IpcChannel,
+	libPath = path.join(__dirname, '..', 'lib', 'Semlocks'),
+	inst,
+	ports,
+	client;
+
+describe("IpcChannel", function() {
+	beforeEach(function() {
+		inst = new semlocks.Semlocks();
+		ports = new threads.MessageChannel();
+		inst.shareWith(ports.port1);
+		client = new semlocks.Client(new IpcChannel(ports.port2));
+	});
+	afterEach(function() {
+		ports.port1.close();
+	});
+	it("should acquire locks from the host", function(done) {
+		client.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.getLocks().should.eql({foo: 1});
+			release();
+			client.getLocks(function(err, locks) {
+				should.not.exist(err);
+				locks.should.eql({});
+				done();
+			});
+		});
+	});
+	it("should ignore the application's own messages", function(done) {
+		var channel = new IpcChannel(ports.port1);
+		channel.on('message', function() {
+			throw new Error('Application message was not ignored');
+		});
+		ports.port1.on('message', function(msg) {
+			msg.should.equal('foo');
+			done();
+		});
+		ports.port2.postMessage('foo');
+	});
+	it("should release a client's locks when it closes", function(done) {
+		client.acquire('foo', function(err) {
+			should.not.exist(err);
+			client.on('close', function() {
+				setTimeout(function() {
+					inst.getLocks().should.eql({});
+					done();
+				}, 10);
+			});
+			client.close();
+		});
+	});
+	it("should release a worker's locks when it exits", function(done) {
+		var worker = new threads.Worker([
+			"var semlocks = require(" + JSON.stringify(libPath) + ");",
+			"semlocks.shared().acquire('foo', function(err) {",
+			"	require('worker_threads').parentPort.postMessage('locked');",
+			"});"
+		].join('\n'), {eval: true});
+		inst.shareWith(worker);
+		worker.on('message', function(msg) {
+			if (msg[IpcChannel.ENVELOPE])
+				return;
+			msg.should.equal('locked');
+			inst.getLocks().should.eql({foo: 1});
+			worker.terminate();
+		});
+		worker.on('exit', function() {
+			setImmediate(function() {
+				inst.getLocks().should.eql({});
+				done();
+			});
+		});
+	});
+});
@@ -0,0 +1,118 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	fs = require('fs'),
+	os = require('os'),
+	path = require('path'),
+	semlocks = require('../lib/Semlocks'),
+	journalPath = path.join(os.tmpdir(),
+		'semlocks-test-' + process.pid + '.journal'),
+	inst;
+
+/**
+ * Reads the entries written to the test journal.
+ * @returns {Array<{}>} The journal's entries, in order
+ */
+var readJournal = function() {
+	return fs.readFileSync(journalPath, 'utf8').split('\n')
+		.filter(Boolean).map(JSON.parse);
+};
+
+describe("Journal", function() {
+	beforeEach(function() {
+		inst = new semlocks.Semlocks();
+	});
+	afterEach(function() {
+		inst.setJournal(null);
+		if (fs.existsSync(journalPath))
+			fs.unlinkSync(journalPath);
+	});
+	it("should journal what held each semaphore", function(done) {
+		inst.setJournal(journalPath).should.be.an.instanceOf(semlocks.Journal);
+		inst.getJournal().path.should.equal(journalPath);
+		inst.acquire('foo', {meta: {job: 'a'}}, function(err, release) {
+			release();
+			readJournal().map(function(entry) {
+				entry.time.should.be.a.Number;
+				return [entry.event, entry.sem || entry.handle, entry.meta];
+			}).should.eql([
+				['acquire', 'foo', {job: 'a'}],
+				['granted', 0, {job: 'a'}],
+				['release', 'foo', undefined]
+			]);
+			done();
+		});
+	});
+	it("should journal failed requests and cap changes", function(done) {
+		inst.setJournal(journalPath);
+		inst.setMaxLocks('foo', 0);
+		inst.acquire('foo', {instant: true});
+		inst.on('rejected', function() {
+			var entries = readJournal();
+			entries.map(function(entry) {
+				return entry.event;
+			}).should.eql(['capChanged', 'rejected']);
+			entries[0].max.should.equal(0);
+			entries[1].sems.should.eql(['foo']);
+			entries[1].error.should.equal(
+				'InstantError: Could not acquire all locks instantly');
+			done();
+		});
+	});
+	it("should journal suspected leaks", function(done) {
+		inst.setJournal(journalPath);
+		inst.setLeakDetection({strict: true});
+		inst.on('leak', function() {
+			var entry = readJournal().pop();
+			entry.event.should.equal('leak');
+			entry.reason.should.equal('unreleased');
+			entry.held.should.eql(['foo']);
+			inst.release(entry.handle);
+			done();
+		});
+		inst.acquire('foo', function() {});
+	});
+	it("should journal saturated and drained queues", function(done) {
+		inst.setJournal(journalPath);
+		inst.setMaxQueue('foo', 1);
+		inst.acquire('foo', function(err, release) {
+			release();
+		});
+		inst.acquire('foo', function(err, release) {
+			release();
+			readJournal().filter(function(entry) {
+				return entry.event == 'saturated' || entry.event == 'drained';
+			}).map(function(entry) {
+				return [entry.event, entry.sem, entry.max];
+			}).should.eql([
+				['saturated', 'foo', 1],
+				['drained', 'foo', undefined]
+			]);
+			done();
+		});
+	});
+	it("should append to an existing journal", function() {
+		fs.writeFileSync(journalPath, '{"event":"old"}\n');
+		inst.setJournal(journalPath);
+		inst.setMaxLocks('foo', 2);
+		readJournal().map(function(entry) {
+			return entry.event;
+		}).should.eql(['old', 'capChanged']);
+	});
+	it("should stop journaling when closed", function() {
+		inst.setJournal(journalPath);
+		inst.setJournal(null);
+		should.not.exist(inst.getJournal());
+		inst.setMaxLocks('foo', 2);
+		readJournal().should.eql([]);
+		inst.listeners('capChanged').length.should.equal(0);
+	});
+	it("should accept a journal in the constructor", function() {
+		inst = new semlocks.Semlocks({journal: journalPath});
+		inst.setMaxLocks('foo', 2);
+		readJournal().length.should.equal(1);
+	});
+});
@@ -0,0 +1,220 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	errors = semlocks.errors,
+	itSignals = require('./support/helpers').itSignals,
+	inst;
+
+describe("Lock", function() {
+	beforeEach(function() {
+		inst = new semlocks.Semlocks();
+	});
+	it("should resolve acquireAsync with a Lock", function(done) {
+		var promise = inst.acquireAsync('foo');
+		promise.handle.should.be.a.Number;
+		promise.then(function(lock) {
+			lock.should.be.an.instanceOf(semlocks.Lock);
+			lock.handle.should.equal(promise.handle);
+			inst.getLocks().should.eql({foo: 1});
+			lock.release();
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should report whether a Lock released anything", function() {
+		return inst.acquireAsync('foo').then(function(lock) {
+			lock.release().should.be.true;
+			lock.release().should.be.false;
+			lock.cancel().should.be.false;
+		});
+	});
+	it("should reject acquireAsync with an InstantError", function(done) {
+		inst.acquire('foo');
+		inst.acquireAsync('foo', {instant: true}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.should.be.an.instanceOf(errors.InstantError);
+			err.should.be.an.instanceOf(errors.SemlocksError);
+			err.message.should.equal('Could not acquire all locks instantly');
+			done();
+		}).catch(done);
+	});
+	it("should reject acquireAsync with a TimeoutError", function(done) {
+		inst.acquire('foo');
+		inst.acquireAsync('foo', {wait: 5}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.should.be.an.instanceOf(errors.TimeoutError);
+			err.name.should.equal('TimeoutError');
+			should.exist(err.stack);
+			done();
+		}).catch(done);
+	});
+	it("should reject with CanceledError when canceled early", function(done) {
+		inst.acquire('foo');
+		var promise = inst.acquireAsync(['foo', 'bar']);
+		promise.then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.should.be.an.instanceOf(errors.CanceledError);
+			inst.getLocks().should.eql({foo: 1});
+			done();
+		}).catch(done);
+		promise.cancel();
+	});
+	it("should reject with a custom error when canceled", function(done) {
+		inst.acquire('foo');
+		var promise = inst.acquireAsync('foo');
+		promise.then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.message.should.equal('bar');
+			done();
+		}).catch(done);
+		promise.cancel(new Error('bar'));
+	});
+	itSignals("should reject acquireAsync when aborted", function(done) {
+		var controller = new AbortController();
+		inst.acquire('foo');
+		inst.acquireAsync('foo', {signal: controller.signal}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.should.be.an.instanceOf(errors.AbortError);
+			err.reason.should.equal('done');
+			done();
+		}).catch(done);
+		controller.abort('done');
+	});
+	itSignals("should expose the TTL signal on a Lock", function(done) {
+		inst.acquireAsync('foo', {ttl: 1000}).then(function(lock) {
+			lock.signal.aborted.should.equal(false);
+			lock.release();
+			done();
+		}).catch(done);
+	});
+	it("should renew a Lock's heartbeat", function(done) {
+		var killed = false;
+		inst.on('killed', function() {
+			killed = true;
+		});
+		inst.acquireAsync('foo', {heartbeat: 10}).then(function(lock) {
+			lock.extend(20).should.equal(false);
+			setTimeout(function() {
+				lock.renew().should.equal(true);
+			}, 5);
+			setTimeout(function() {
+				killed.should.equal(false);
+				lock.release();
+				done();
+			}, 12);
+		}).catch(done);
+	});
+	it("should report whether a Lock was extended", function() {
+		return inst.acquireAsync('foo', {ttl: 1000}).then(function(lock) {
+			lock.extend(2000).should.equal(true);
+			lock.renew().should.equal(true);
+			lock.release();
+			lock.extend(2000).should.equal(false);
+			lock.renew().should.equal(false);
+		});
+	});
+	it("should wait on a condition from a Lock", function(done) {
+		inst.acquireAsync('foo').then(function(lock) {
+			setImmediate(function() {
+				inst.notify('foo').should.equal(1);
+			});
+			return lock.wait('foo').then(function() {
+				inst.getHolders('foo')[0].handle.should.equal(lock.handle);
+				lock.release();
+				done();
+			});
+		}).catch(done);
+	});
+	it("should release all locks when a Lock is canceled", function(done) {
+		inst.acquireAsync(['foo', 'bar']).then(function(lock) {
+			lock.cancel();
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should release individual sems from a Lock", function(done) {
+		inst.acquireAsync(['foo', 'bar']).then(function(lock) {
+			lock.release('foo');
+			inst.getLocks().should.eql({bar: 1});
+			lock.release();
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should upgrade and downgrade a Lock", function(done) {
+		inst.acquireAsync('foo').then(function(lock) {
+			return lock.upgrade('foo').then(function() {
+				inst.getLocks(true).should.eql({
+					foo: {shared: 0, exclusive: 1}
+				});
+				lock.downgrade();
+				inst.getLocks(true).should.eql({
+					foo: {shared: 1, exclusive: 0}
+				});
+				return lock.upgrade('bar');
+			});
+		}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.message.should.match(/not held/);
+			done();
+		}).catch(done);
+	});
+	it("should release after the function passed to using", function(done) {
+		inst.using('foo', function(lock) {
+			lock.should.be.an.instanceOf(semlocks.Lock);
+			inst.getLocks().should.eql({foo: 1});
+			return new Promise(function(resolve) {
+				setTimeout(resolve.bind(null, 'bar'), 5);
+			});
+		}).then(function(val) {
+			val.should.equal('bar');
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should release when using's function throws", function(done) {
+		inst.using('foo', {priority: 1}, function() {
+			throw new Error('bar');
+		}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.message.should.equal('bar');
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should release when using's function rejects", function(done) {
+		inst.using('foo', function() {
+			return Promise.reject(new Error('bar'));
+		}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.message.should.equal('bar');
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should not call using's function if acquire fails", function(done) {
+		var called = false;
+		inst.acquire('foo');
+		inst.using('foo', {instant: true}, function() {
+			called = true;
+		}).then(function() {
+			done(new Error('Should not have resolved'));
+		}, function(err) {
+			err.should.be.an.instanceOf(errors.InstantError);
+			called.should.equal(false);
+			done();
+		}).catch(done);
+	});
+});
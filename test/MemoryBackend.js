@@ -0,0 +1,53 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	MemoryBackend = semlocks.MemoryBackend,
+	store;
+
+describe("MemoryBackend", function() {
+	beforeEach(function() {
+		store = new MemoryBackend.MemoryStore();
+	});
+	it("should store and retrieve values", function() {
+		var val = [1];
+		should.not.exist(store.get('foo'));
+		store.has('foo').should.equal(false);
+		store.set('foo', val);
+		store.has('foo').should.equal(true);
+		store.get('foo').should.equal(val);
+	});
+	it("should delete values", function() {
+		store.set('foo', 1);
+		store.delete('foo');
+		store.has('foo').should.equal(false);
+		store.keys().should.eql([]);
+	});
+	it("should list keys as strings", function() {
+		store.set('foo', 1);
+		store.set(2, 1);
+		store.keys().sort().should.eql(['2', 'foo']);
+	});
+	it("should not confuse keys with Object properties", function() {
+		store.has('hasOwnProperty').should.equal(false);
+		should.not.exist(store.get('constructor'));
+	});
+	it("should hold all of a Semlocks instance's state", function(done) {
+		var backend = new MemoryBackend(),
+			inst = new semlocks.Semlocks({backend: backend});
+		inst.setMaxLocks('bar', 2);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			backend.holders.get('foo').should.eql([0]);
+			backend.queues.get('foo').should.eql([1]);
+			backend.requests.keys().should.eql(['0', '1']);
+			backend.caps.get('bar').should.equal(2);
+			release();
+			done();
+		});
+		inst.acquire('foo');
+	});
+});
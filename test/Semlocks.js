@@ -5,6 +5,7 @@
 
 var should = require('should'),
 	semlocks = require('../lib/Semlocks'),
+	itSignals = require('./support/helpers').itSignals,
 	inst;
 
 describe("Semaphore", function() {
@@ -127,6 +128,13 @@ describe("Semaphore", function() {
 			});
 		});
 	});
+	it("should send an InstantError when sems can't acquire", function(done) {
+		inst.acquire('foo');
+		inst.acquire('foo', {instant: true}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.InstantError);
+			done();
+		});
+	});
 	it("should send error for instant when in the same tick", function(done) {
 		inst.acquire('foo', function(err) {
 			should.not.exist(err);
@@ -227,6 +235,7 @@ describe("Semaphore", function() {
 			should.not.exist(err);
 			inst.acquire('foo', {wait: 5}, function(err) {
 				should.exist(err);
+				err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
 				hit = true;
 			});
 			setTimeout(function() {
@@ -236,6 +245,15 @@ describe("Semaphore", function() {
 			}, 10);
 		});
 	});
+	it("should not release instantly granted locks after wait", function(done) {
+		inst.acquire('foo', {wait: 5}, function(err) {
+			should.not.exist(err);
+			setTimeout(function() {
+				inst.getLocks().should.eql({foo: 1});
+				done();
+			}, 10);
+		});
+	});
 	it("should work correctly with a high ttl", function(done) {
 		var released = false;
 		inst.acquire('foo', {ttl: 1000}, function(err, release) {
@@ -344,8 +362,10 @@ describe("Semaphore", function() {
 				done();
 			}, 10);
 		});
-		inst.on('killed', function(killHandle) {
+		inst.on('killed', function(killHandle, sems, reason) {
 			killed = killHandle;
+			sems.should.eql(['foo']);
+			reason.should.equal('ttl');
 		});
 	});
 	it("should award locks to earlier priorities first", function(done) {
@@ -516,4 +536,1777 @@ describe("Semaphore", function() {
 		inst.setDefaultMaxLocks(5);
 		inst.getMaxLocks().should.eql(5);
 	});
+	it("should not hold atomic locks while waiting", function(done) {
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(err);
+			inst.acquire(['foo', 'bar'], {atomic: true}, function(err) {
+				should.not.exist(err);
+				inst.getLocks().should.eql({foo: 1, bar: 1});
+				done();
+			});
+			inst.getLocks().should.eql({bar: 1});
+			setTimeout(release, 5);
+		});
+	});
+	it("should not deadlock atomic requests in any order", function(done) {
+		var hits = 0;
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.acquire(['foo', 'bar'], {atomic: true}, function(err, rel) {
+				should.not.exist(err);
+				hits++;
+				setTimeout(rel, 1);
+			});
+			inst.acquire(['bar', 'foo'], {atomic: true}, function(err, rel) {
+				should.not.exist(err);
+				hits.should.equal(1);
+				rel();
+				done();
+			});
+			release();
+		});
+	});
+	it("should hold a waiting atomic request's place in line", function(done) {
+		var order = [];
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(err);
+			inst.acquire(['foo', 'bar'], {atomic: true}, function(err, rel) {
+				should.not.exist(err);
+				order.push('atomic');
+				rel();
+			});
+			inst.acquire('foo', function(err, rel) {
+				should.not.exist(err);
+				order.push('foo');
+				order.should.eql(['atomic', 'foo']);
+				rel();
+				done();
+			});
+			setTimeout(release, 5);
+		});
+	});
+	it("should fail instant atomic requests without locking", function(done) {
+		inst.acquire('bar');
+		inst.acquire(['foo', 'bar'], {atomic: true, instant: true},
+			function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.InstantError);
+				inst.getLocks().should.eql({bar: 1});
+				done();
+			});
+		inst.getLocks().should.eql({bar: 1});
+	});
+	it("should unblock queues when atomic waiters cancel", function(done) {
+		inst.acquire('bar');
+		var handle = inst.acquire(['foo', 'bar'], {atomic: true});
+		inst.acquire('foo', function(err) {
+			should.not.exist(err);
+			done();
+		});
+		inst.cancel(handle);
+	});
+	it("should not detect deadlocks by default", function(done) {
+		var hit = false;
+		inst.on('deadlock', function() { hit = true; });
+		inst.acquire('bar');
+		inst.acquire(['foo', 'bar']);
+		inst.acquire(['bar', 'foo'], {priority: 1});
+		setImmediate(function() {
+			hit.should.equal(false);
+			done();
+		});
+	});
+	it("should emit an event when a deadlock is detected", function(done) {
+		var detected = [];
+		inst.setDeadlockPolicy('emit');
+		inst.getDeadlockPolicy().should.equal('emit');
+		inst.on('deadlock', function(handles, sems, victim) {
+			should.not.exist(victim);
+			detected.push({handles: handles, sems: sems});
+		});
+		inst.acquire('bar');
+		var first = inst.acquire(['foo', 'bar']),
+			second = inst.acquire(['bar', 'foo'], {priority: 1});
+		setImmediate(function() {
+			detected.should.eql([{
+				handles: [second, first],
+				sems: ['foo', 'bar']
+			}]);
+			inst.getLocks().should.eql({foo: 1, bar: 1});
+			done();
+		});
+	});
+	it("should cancel the youngest deadlocked request", function(done) {
+		var first, second;
+		inst.setDeadlockPolicy('youngest');
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(err);
+			first = inst.acquire(['foo', 'bar'], function(err) {
+				should.not.exist(err);
+				done();
+			});
+			second = inst.acquire(['bar', 'foo'], {priority: 1},
+				function(err) {
+					err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+					err.handles.should.eql([second, first]);
+					release();
+				});
+		});
+	});
+	it("should cancel the lowest priority deadlocked request", function(done) {
+		var first, victim;
+		inst.setDeadlockPolicy('lowestPriority');
+		inst.on('deadlock', function(handles, sems, canceled) {
+			victim = canceled;
+		});
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(err);
+			first = inst.acquire(['foo', 'bar'], function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+				victim.should.equal(first);
+				release();
+			});
+			inst.acquire(['bar', 'foo'], {priority: 1}, function(err) {
+				should.not.exist(err);
+				done();
+			});
+		});
+	});
+	it("should detect deadlocks between nested requests", function(done) {
+		var detected = false;
+		inst.setReentrant(true);
+		inst.setDeadlockPolicy('youngest');
+		inst.on('deadlock', function(handles, sems, victim) {
+			// Each holder waits on its nested request for the other's lock
+			handles.should.eql([3, 0, 2, 1]);
+			sems.should.eql(['foo', 'bar', 'bar', 'foo']);
+			victim.should.equal(3);
+			detected = true;
+		});
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.acquire('bar', function(err, inner) {
+				should.not.exist(err);
+				detected.should.equal(true);
+				inner();
+				release();
+				done();
+			});
+		});
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(err);
+			inst.acquire('foo', function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+				release();
+			});
+		});
+	});
+	it("should reject unknown deadlock policies", function() {
+		(function() {
+			inst.setDeadlockPolicy('foo');
+		}).should.throw();
+	});
+	it("should allow shared locks to coexist up to the cap", function(done) {
+		var locks = 0;
+		inst.setMaxLocks('foo', 2);
+		for (var i = 0; i < 3; i++)
+			inst.acquire('foo', {mode: 'shared'}, function() { locks++; });
+		setImmediate(function() {
+			locks.should.equal(2);
+			done();
+		});
+	});
+	it("should grant exclusive locks once holders drain", function(done) {
+		var exclusive = false;
+		inst.setMaxLocks('foo', 3);
+		var first = inst.acquire('foo', {mode: 'shared'}),
+			second = inst.acquire('foo', {mode: 'shared'});
+		inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+			should.not.exist(err);
+			exclusive = true;
+			inst.getLocks().should.eql({foo: 1});
+			release();
+			done();
+		});
+		inst.release(first);
+		setImmediate(function() {
+			exclusive.should.equal(false);
+			inst.release(second);
+		});
+	});
+	it("should not grant shared locks during exclusive ones", function(done) {
+		var shared = false;
+		inst.setMaxLocks('foo', 3);
+		inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+			should.not.exist(err);
+			inst.acquire('foo', function(err) {
+				should.not.exist(err);
+				shared = true;
+			});
+			setImmediate(function() {
+				shared.should.equal(false);
+				release();
+				setImmediate(function() {
+					shared.should.equal(true);
+					done();
+				});
+			});
+		});
+	});
+	it("should queue shared requests behind exclusive ones", function(done) {
+		var order = [];
+		inst.setMaxLocks('foo', 3);
+		var holder = inst.acquire('foo', {mode: 'shared'});
+		inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+			should.not.exist(err);
+			order.push('exclusive');
+			release();
+		});
+		inst.acquire('foo', {mode: 'shared'}, function(err, release) {
+			should.not.exist(err);
+			order.push('shared');
+			order.should.eql(['exclusive', 'shared']);
+			release();
+			done();
+		});
+		setImmediate(function() {
+			order.should.eql([]);
+			inst.release(holder);
+		});
+	});
+	it("should report held locks by mode", function() {
+		inst.setMaxLocks('foo', 2);
+		inst.acquire('foo');
+		inst.acquire(['foo', 'bar'], {mode: 'shared'});
+		inst.acquire('baz', {mode: 'exclusive'});
+		inst.getLocks(true).should.eql({
+			foo: {shared: 2, exclusive: 0},
+			bar: {shared: 1, exclusive: 0},
+			baz: {shared: 0, exclusive: 1}
+		});
+	});
+	it("should reject unknown lock modes", function() {
+		(function() {
+			inst.acquire('foo', {mode: 'foo'});
+		}).should.throw();
+	});
+	it("should count weighted requests against the cap", function(done) {
+		var locks = 0;
+		inst.setMaxLocks('foo', 10);
+		inst.acquire({foo: 5, bar: 1}, function() { locks++; });
+		inst.acquire({foo: 4}, function() { locks++; });
+		inst.acquire({foo: 2}, function() { locks++; });
+		setImmediate(function() {
+			locks.should.equal(2);
+			inst.getLocks().should.eql({foo: 9, bar: 1});
+			inst.getLocks(true).should.eql({
+				foo: {shared: 9, exclusive: 0},
+				bar: {shared: 1, exclusive: 0}
+			});
+			done();
+		});
+	});
+	it("should free all of a weighted request's locks", function(done) {
+		inst.setMaxLocks('foo', 10);
+		var handle = inst.acquire({foo: 8});
+		inst.acquire({foo: 4}, function(err, release) {
+			should.not.exist(err);
+			inst.getLocks().should.eql({foo: 4});
+			release();
+			done();
+		});
+		inst.release(handle, 'foo');
+	});
+	it("should not let small requests pass large waiters", function(done) {
+		var order = [];
+		inst.setMaxLocks('foo', 10);
+		var holder = inst.acquire({foo: 6});
+		inst.acquire({foo: 10}, function(err, release) {
+			should.not.exist(err);
+			order.push('large');
+			release();
+		});
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			order.push('small');
+			order.should.eql(['large', 'small']);
+			release();
+			done();
+		});
+		setImmediate(function() {
+			order.should.eql([]);
+			inst.release(holder);
+		});
+	});
+	it("should forcibly release weighted locks", function(done) {
+		var locks = 0;
+		inst.setMaxLocks('foo', 4);
+		for (var i = 0; i < 3; i++)
+			inst.acquire({foo: 2}, function() { locks++; });
+		setImmediate(function() {
+			locks.should.equal(2);
+			inst.forceRelease('foo');
+			inst.getLocks().should.eql({foo: 2});
+			setImmediate(function() {
+				locks.should.equal(3);
+				done();
+			});
+		});
+	});
+	it("should reject invalid weights", function() {
+		(function() {
+			inst.acquire({foo: 0});
+		}).should.throw();
+	});
+	it("should fail requests heavier than the max", function(done) {
+		inst.setMaxLocks('foo', 3);
+		inst.acquire({foo: 5}, function(err) {
+			err.should.be.instanceOf(semlocks.errors.WeightError);
+			err.sem.should.equal('foo');
+		});
+		inst.acquire('foo', {wait: 100}, function(err, release) {
+			should.not.exist(err);
+			release();
+			done();
+		});
+	});
+	it("should fail waiters heavier than a lowered max", function(done) {
+		var failed = [];
+		inst.setMaxLocks('foo', 10);
+		inst.setDefaultMaxLocks(10);
+		var holder = inst.acquire({foo: 8, bar: 8});
+		inst.acquire({foo: 5}, function(err) {
+			err.should.be.instanceOf(semlocks.errors.WeightError);
+			failed.push('foo');
+		});
+		inst.acquire({bar: 5}, function(err) {
+			err.should.be.instanceOf(semlocks.errors.WeightError);
+			failed.push('bar');
+		});
+		inst.acquire({foo: 2}, function(err, release) {
+			should.not.exist(err);
+			failed.should.eql(['foo', 'bar']);
+			release();
+			done();
+		});
+		inst.setMaxLocks('foo', 4);
+		inst.setDefaultMaxLocks(4);
+		inst.release(holder);
+	});
+	it("should treat separated names as unrelated by default", function() {
+		inst.acquire('foo', {mode: 'exclusive'});
+		inst.acquire('foo:bar', {mode: 'exclusive'});
+		inst.getLocks().should.eql({foo: 1, 'foo:bar': 1});
+		should.not.exist(inst.getSeparator());
+	});
+	it("should make exclusive parents wait for children", function(done) {
+		var order = [];
+		inst.setSeparator(':');
+		inst.acquire('foo:bar:baz', function(err, release) {
+			should.not.exist(err);
+			inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+				should.not.exist(err);
+				order.push('parent');
+				order.should.eql(['child', 'parent']);
+				release();
+				done();
+			});
+			setImmediate(function() {
+				order.push('child');
+				release();
+			});
+		});
+	});
+	it("should make children wait for exclusive parents", function(done) {
+		var order = [];
+		inst.setSeparator(':');
+		inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+			should.not.exist(err);
+			inst.acquire('foo:bar', function(err, release) {
+				should.not.exist(err);
+				order.push('child');
+				order.should.eql(['parent', 'child']);
+				release();
+				done();
+			});
+			setImmediate(function() {
+				order.push('parent');
+				release();
+			});
+		});
+	});
+	it("should allow shared locks on related sems", function() {
+		inst.setSeparator(':');
+		inst.acquire('foo');
+		inst.acquire('foo:bar');
+		inst.getLocks().should.eql({foo: 1, 'foo:bar': 1});
+	});
+	it("should not relate sems sharing only a prefix", function() {
+		inst.setSeparator(':');
+		inst.acquire('foo', {mode: 'exclusive'});
+		inst.acquire('foobar', {mode: 'exclusive'});
+		inst.acquire('foobar:baz', {mode: 'exclusive'});
+		inst.getLocks().should.eql({foo: 1, foobar: 1});
+	});
+	it("should not let children pass a waiting parent", function(done) {
+		var order = [];
+		inst.setSeparator(':');
+		var holder = inst.acquire('foo:bar');
+		inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+			should.not.exist(err);
+			order.push('parent');
+			release();
+		});
+		inst.acquire('foo:baz', function(err, release) {
+			should.not.exist(err);
+			order.push('child');
+			order.should.eql(['parent', 'child']);
+			release();
+			done();
+		});
+		setImmediate(function() {
+			order.should.eql([]);
+			inst.release(holder);
+		});
+	});
+	it("should grant children when a waiting parent leaves", function(done) {
+		inst.setSeparator(':');
+		var holder = inst.acquire('foo:bar'),
+			parent = inst.acquire('foo', {mode: 'exclusive'});
+		inst.acquire('foo:baz', function(err, release) {
+			should.not.exist(err);
+			inst.getLocks().should.eql({'foo:bar': 1, 'foo:baz': 1});
+			inst.release(holder);
+			release();
+			done();
+		});
+		inst.cancel(parent);
+	});
+	it("should fail instant requests blocked by related sems", function(done) {
+		inst.setSeparator('.');
+		inst.acquire('foo.bar');
+		inst.acquire('foo', {mode: 'exclusive', instant: true}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.InstantError);
+			done();
+		});
+	});
+	it("should detect deadlocks across related sems", function(done) {
+		inst.setSeparator(':');
+		inst.setDeadlockPolicy('youngest');
+		inst.setMaxLocks('foo', 0);
+		inst.acquire(['baz:qux', 'foo'], {mode: 'exclusive'});
+		inst.acquire(['foo:bar', 'baz'], {mode: 'exclusive', priority: 1},
+			function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+				err.sems.should.eql(['baz', 'foo']);
+				done();
+			});
+	});
+	it("should reject invalid separators", function() {
+		(function() {
+			inst.setSeparator('');
+		}).should.throw();
+	});
+	it("should not be reentrant by default", function(done) {
+		inst.getReentrant().should.equal(false);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.acquire('foo', {instant: true}, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.InstantError);
+				release();
+				done();
+			});
+		});
+	});
+	it("should grant nested requests for held sems", function(done) {
+		inst.setReentrant(true);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			setTimeout(function() {
+				inst.acquire('foo', {instant: true}, function(err, inner) {
+					should.not.exist(err);
+					inst.getLocks().should.eql({foo: 1});
+					inner();
+					inst.getLocks().should.eql({foo: 1});
+					release();
+					inst.getLocks().should.eql({});
+					done();
+				});
+			}, 1);
+		});
+	});
+	it("should only reenter sems held by the context", function(done) {
+		inst.setReentrant(true);
+		var holder = inst.acquire('foo');
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(err);
+			inst.acquire('foo', {instant: true}, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.InstantError);
+				release();
+				inst.release(holder);
+				done();
+			});
+		});
+	});
+	it("should reenter locks held by outer contexts", function(done) {
+		inst.setReentrant(true);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.acquire('bar', function(err, releaseBar) {
+				should.not.exist(err);
+				var sems = ['foo', 'bar'];
+				inst.acquire(sems, {atomic: true}, function(err, inner) {
+					should.not.exist(err);
+					inst.getLocks().should.eql({foo: 1, bar: 1});
+					inner();
+					releaseBar();
+					release();
+					inst.getLocks().should.eql({});
+					done();
+				});
+			});
+		});
+	});
+	it("should queue nested requests for unheld sems", function(done) {
+		inst.setReentrant(true);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			inst.acquire(['foo', 'bar'], function(err, inner) {
+				should.not.exist(err);
+				inst.getLocks().should.eql({foo: 1, bar: 1});
+				inner();
+				inst.getLocks().should.eql({foo: 1});
+				release();
+				done();
+			});
+		});
+	});
+	it("should not reenter shared locks exclusively", function(done) {
+		inst.setReentrant(true);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			var opts = {mode: 'exclusive', instant: true};
+			inst.acquire('foo', opts, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.InstantError);
+				release();
+				done();
+			});
+		});
+	});
+	it("should reenter locks within using", function(done) {
+		inst.setReentrant(true);
+		inst.using('foo', function() {
+			return inst.using('foo', function() {
+				inst.getLocks().should.eql({foo: 1});
+				return 'bar';
+			});
+		}).then(function(val) {
+			val.should.equal('bar');
+			inst.getLocks().should.eql({});
+			done();
+		}).catch(done);
+	});
+	it("should not collect stats by default", function() {
+		inst.getStatsEnabled().should.equal(false);
+		inst.acquire('foo');
+		inst.getStats().should.eql({});
+		inst.getStats('foo').requests.should.equal(0);
+	});
+	it("should count requests, grants and queue depth", function(done) {
+		inst.setStatsEnabled(true);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			setTimeout(release, 10);
+		});
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			release();
+			var stats = inst.getStats('foo');
+			stats.requests.should.equal(3);
+			stats.grants.should.equal(2);
+			stats.maxQueueDepth.should.equal(2);
+			stats.waitTime.count.should.equal(2);
+			stats.waitTime.max.should.be.above(8);
+			stats.holdTime.count.should.equal(2);
+			stats.holdTime.max.should.be.above(8);
+			done();
+		});
+		inst.acquire(['foo', 'bar'], {instant: true}, function(err) {
+			should.exist(err);
+			inst.getStats('foo').instantFailures.should.equal(1);
+			inst.getStats('bar').instantFailures.should.equal(0);
+		});
+	});
+	it("should count timeouts and TTL kills", function(done) {
+		inst.setStatsEnabled(true);
+		inst.acquire('foo', {ttl: 10});
+		inst.acquire('foo', {wait: 1}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+			inst.getStats('foo').timeouts.should.equal(1);
+		});
+		inst.on('killed', function() {
+			inst.getStats('foo').ttlKills.should.equal(1);
+			done();
+		});
+	});
+	it("should reset stats", function() {
+		inst.setStatsEnabled(true);
+		inst.acquire('foo');
+		inst.acquire('bar');
+		inst.resetStats('foo');
+		Object.keys(inst.getStats()).should.eql(['bar']);
+		inst.resetStats();
+		inst.getStats().should.eql({});
+	});
+	it("should list the holders of a semaphore", function() {
+		inst.setMaxLocks('foo', 3);
+		var first = inst.acquire('foo'),
+			second = inst.acquire({foo: 2});
+		inst.getHolders('foo').should.eql([
+			{handle: first, mode: 'shared', group: null, weight: 1},
+			{handle: second, mode: 'shared', group: null, weight: 2}
+		]);
+		inst.getHolders('bar').should.eql([]);
+	});
+	it("should list the queue of a semaphore", function() {
+		inst.acquire('foo');
+		var low = inst.acquire('foo'),
+			high = inst.acquire('foo', {priority: 1, mode: 'exclusive'});
+		inst.getQueue('foo').should.eql([
+			{handle: high, mode: 'exclusive', group: null, weight: 1,
+				priority: 1, effectivePriority: 1},
+			{handle: low, mode: 'shared', group: null, weight: 1, priority: 2,
+				effectivePriority: 2}
+		]);
+		inst.getQueue('bar').should.eql([]);
+	});
+	it("should describe open requests", function(done) {
+		var holder = inst.acquire('bar'),
+			handle = inst.acquire(['foo', 'bar'], {wait: 1000, ttl: 500}),
+			req = inst.getRequest(handle);
+		req.handle.should.equal(handle);
+		req.sems.should.eql(['foo', 'bar']);
+		req.held.should.eql(['foo']);
+		req.pending.should.eql(['bar']);
+		req.reentered.should.eql([]);
+		should.not.exist(req.weights);
+		req.mode.should.equal('shared');
+		should.not.exist(req.group);
+		req.priority.should.equal(2);
+		req.atomic.should.equal(false);
+		req.granted.should.equal(false);
+		req.age.should.be.within(0, 50);
+		req.ttl.should.equal(500);
+		should.not.exist(req.ttlRemaining);
+		req.waitDeadline.should.be.within(Date.now() + 950, Date.now() + 1000);
+		should.not.exist(inst.getRequest(handle + 1));
+		inst.cancel(holder);
+		setImmediate(function() {
+			req = inst.getRequest(handle);
+			req.granted.should.equal(true);
+			req.ttlRemaining.should.be.within(450, 500);
+			should.not.exist(req.waitDeadline);
+			inst.cancel(handle);
+			done();
+		});
+	});
+	it("should return copies from introspection", function() {
+		var handle = inst.acquire({foo: 1});
+		inst.getRequest(handle).sems.push('bar');
+		inst.getRequest(handle).weights.foo = 5;
+		inst.getHolders('foo')[0].handle = 9;
+		inst.getRequest(handle).sems.should.eql(['foo']);
+		inst.getRequest(handle).weights.should.eql({foo: 1});
+		inst.getHolders('foo')[0].handle.should.equal(handle);
+	});
+	it("should snapshot the whole instance", function() {
+		inst.setMaxLocks('bar', 0);
+		var holder = inst.acquire('foo'),
+			waiter = inst.acquire('bar');
+		var snap = inst.snapshot();
+		snap.locks.should.eql({foo: 1});
+		snap.holders.should.eql({foo: inst.getHolders('foo')});
+		snap.queues.should.eql({bar: inst.getQueue('bar')});
+		Object.keys(snap.requests).should.eql([String(holder), String(waiter)]);
+		snap.requests[waiter].pending.should.eql(['bar']);
+		snap.caps.should.eql({bar: 0});
+		snap.defaultCap.should.equal(1);
+		should.not.exist(snap.deadlockPolicy);
+		should.not.exist(snap.separator);
+		snap.reentrant.should.equal(false);
+		snap.fairQueueing.should.eql([]);
+		snap.groupCaps.should.eql({});
+		snap.groupWeights.should.eql({});
+		snap.rateLimits.should.eql({});
+	});
+	it("should not age priorities by default", function(done) {
+		var order = [],
+			holder = inst.acquire('foo');
+		should.not.exist(inst.getPriorityAging());
+		inst.acquire('foo', {priority: 2}, function(err, release) {
+			order.push('low');
+			order.should.eql(['high', 'low']);
+			release();
+			done();
+		});
+		setTimeout(function() {
+			inst.acquire('foo', {priority: 0}, function(err, release) {
+				order.push('high');
+				release();
+			});
+			inst.release(holder);
+		}, 30);
+	});
+	it("should age the priority of waiting requests", function(done) {
+		var order = [],
+			holder = inst.acquire('foo');
+		inst.setPriorityAging(100);
+		inst.getPriorityAging().should.eql({rate: 100, floor: 0});
+		inst.acquire('foo', {priority: 2}, function(err, release) {
+			order.push('low');
+			release();
+		});
+		setTimeout(function() {
+			inst.acquire('foo', {priority: 0}, function(err, release) {
+				order.push('high');
+				order.should.eql(['low', 'high']);
+				release();
+				done();
+			});
+			inst.release(holder);
+		}, 30);
+	});
+	it("should not age priorities past the floor", function(done) {
+		var order = [],
+			holder = inst.acquire('foo');
+		inst.setPriorityAging(100, 1);
+		inst.acquire('foo', {priority: 2}, function(err, release) {
+			order.push('low');
+			order.should.eql(['high', 'low']);
+			release();
+			done();
+		});
+		setTimeout(function() {
+			inst.getQueue('foo')[0].effectivePriority.should.equal(1);
+			inst.acquire('foo', {priority: 0}, function(err, release) {
+				order.push('high');
+				release();
+			});
+			inst.release(holder);
+		}, 30);
+	});
+	it("should reject invalid aging rates", function() {
+		(function() {
+			inst.setPriorityAging(0);
+		}).should.throw();
+		inst.setPriorityAging(1);
+		inst.setPriorityAging(null);
+		should.not.exist(inst.getPriorityAging());
+	});
+	it("should serve groups in order by default", function(done) {
+		var order = [],
+			holder = inst.acquire('foo');
+		['a', 'a', 'a', 'b'].forEach(function(group, i) {
+			inst.acquire('foo', {group: group}, function(err, release) {
+				order.push(group);
+				release();
+				if (i == 3) {
+					order.should.eql(['a', 'a', 'a', 'b']);
+					done();
+				}
+			});
+		});
+		inst.release(holder);
+	});
+	it("should interleave groups with fair queueing", function(done) {
+		var order = [],
+			holder = inst.acquire('foo');
+		inst.setFairQueueing('foo', true);
+		inst.getFairQueueing('foo').should.equal(true);
+		inst.getFairQueueing('bar').should.equal(false);
+		['a', 'a', 'a', 'b', 'b'].forEach(function(group, i) {
+			inst.acquire('foo', {group: group}, function(err, release) {
+				order.push(group + i);
+				release();
+				if (order.length == 5) {
+					order.should.eql(['a0', 'b3', 'a1', 'b4', 'a2']);
+					done();
+				}
+			});
+		});
+		inst.release(holder);
+	});
+	it("should give weighted groups more turns", function(done) {
+		var order = [],
+			holder = inst.acquire('foo');
+		inst.setFairQueueing('foo', true);
+		inst.setGroupWeight('a', 2);
+		inst.getGroupWeight('a').should.equal(2);
+		inst.getGroupWeight('b').should.equal(1);
+		['a', 'a', 'a', 'a', 'b', 'b'].forEach(function(group) {
+			inst.acquire('foo', {group: group}, function(err, release) {
+				order.push(group);
+				release();
+				if (order.length == 6) {
+					order.should.eql(['a', 'b', 'a', 'a', 'b', 'a']);
+					done();
+				}
+			});
+		});
+		inst.release(holder);
+	});
+	it("should let other groups pass a group at its max", function(done) {
+		var granted = [];
+		inst.setMaxLocks('foo', 3);
+		inst.setGroupMaxLocks('foo', 'a', 1);
+		inst.getGroupMaxLocks('foo', 'a').should.equal(1);
+		should.not.exist(inst.getGroupMaxLocks('foo', 'b'));
+		var first = inst.acquire('foo', {group: 'a'});
+		inst.acquire('foo', {group: 'a'}, function(err, release) {
+			granted.should.eql(['b']);
+			inst.getHolders('foo').length.should.equal(2);
+			release();
+			done();
+		});
+		inst.acquire('foo', {group: 'b'}, function(err, release) {
+			granted.push('b');
+			inst.getQueue('foo').length.should.equal(1);
+			inst.release(first);
+		});
+	});
+	it("should grant a group's waiters when its max is raised", function(done) {
+		inst.setMaxLocks('foo', 2);
+		inst.setGroupMaxLocks('foo', 'a', 1);
+		inst.acquire('foo', {group: 'a'});
+		inst.acquire('foo', {group: 'a'}, function(err, release) {
+			should.not.exist(err);
+			release();
+			done();
+		});
+		inst.setGroupMaxLocks('foo', 'a', null);
+		should.not.exist(inst.getGroupMaxLocks('foo', 'a'));
+	});
+	it("should reject invalid groups and group weights", function() {
+		(function() {
+			inst.acquire('foo', {group: 5});
+		}).should.throw(/Invalid group/);
+		(function() {
+			inst.setGroupWeight('a', 0);
+		}).should.throw(/Invalid group weight/);
+		inst.setGroupWeight('a', 3);
+		inst.setGroupWeight('a', null);
+		inst.getGroupWeight('a').should.equal(1);
+	});
+	it("should upgrade a shared lock once other holders leave", function(done) {
+		var order = [],
+			other;
+		inst.setMaxLocks('foo', 2);
+		inst.acquire('foo', function(err, release) {
+			release.upgrade('foo', function(err) {
+				should.not.exist(err);
+				order.push('upgraded');
+				inst.getLocks(true).should.eql({
+					foo: {shared: 0, exclusive: 1}
+				});
+				inst.getHolders('foo')[0].mode.should.equal('exclusive');
+				release();
+			});
+			inst.getRequest(other).held.should.eql(['foo']);
+			inst.getRequest(0).upgrading.should.eql(['foo']);
+			setTimeout(function() {
+				order.push('released');
+				inst.release(other);
+			}, 10);
+		});
+		other = inst.acquire('foo');
+		inst.acquire('foo', function(err, release) {
+			order.should.eql(['released', 'upgraded']);
+			release();
+			done();
+		});
+	});
+	it("should downgrade an exclusive lock in place", function(done) {
+		var granted = 0;
+		inst.setMaxLocks('foo', 3);
+		inst.acquire('foo', {mode: 'exclusive'}, function(err, release) {
+			inst.getQueue('foo').length.should.equal(2);
+			release.downgrade();
+			inst.getLocks(true).should.eql({foo: {shared: 3, exclusive: 0}});
+			release();
+		});
+		[1, 2].forEach(function() {
+			inst.acquire('foo', function(err, release) {
+				release();
+				if (++granted == 2)
+					done();
+			});
+		});
+	});
+	it("should emit conversions as release and acquire events", function(done) {
+		var events = [];
+		inst.on('release', function(sem, handle, mode) {
+			events.push(['release', sem, handle, mode]);
+		});
+		inst.on('acquire:foo', function(handle, mode) {
+			events.push(['acquire', 'foo', handle, mode]);
+		});
+		var handle = inst.acquire('foo', function(err, release) {
+			release.upgrade('foo', function(err) {
+				should.not.exist(err);
+				release.downgrade('foo');
+				events.should.eql([
+					['acquire', 'foo', handle, 'shared'],
+					['release', 'foo', handle, 'shared'],
+					['acquire', 'foo', handle, 'exclusive'],
+					['release', 'foo', handle, 'exclusive'],
+					['acquire', 'foo', handle, 'shared']
+				]);
+				release();
+				done();
+			});
+		});
+	});
+	it("should fail a second upgrade of the same semaphore", function(done) {
+		inst.setMaxLocks('foo', 2);
+		var first = inst.acquire('foo'),
+			second = inst.acquire('foo');
+		inst.upgrade(first, 'foo');
+		inst.upgrade(second, 'foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+			err.handles.should.eql([second, first]);
+			inst.upgrade(second, 'bar', function(err) {
+				err.message.should.match(/not held/);
+				inst.cancel(first);
+				inst.cancel(second);
+				done();
+			});
+		});
+	});
+	it("should fail upgrades that can't be granted in time", function(done) {
+		inst.setMaxLocks('foo', 2);
+		var first = inst.acquire('foo'),
+			second = inst.acquire('foo');
+		inst.upgrade(first, 'foo', {instant: true}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.InstantError);
+			inst.upgrade(first, 'foo', {wait: 10}, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+				inst.getHolders('foo')[0].mode.should.equal('shared');
+				inst.release(second);
+				inst.acquire('foo', {instant: true}, function(err) {
+					should.not.exist(err);
+					done();
+				});
+			});
+		});
+	});
+	it("should fail an upgrade when its lock is released", function(done) {
+		inst.setMaxLocks('foo', 2);
+		var first = inst.acquire('foo');
+		inst.acquire('foo');
+		inst.upgrade(first, 'foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.CanceledError);
+			inst.getLocks().should.eql({foo: 1});
+			done();
+		});
+		inst.release(first);
+	});
+	it("should break deadlocks involving upgrades", function(done) {
+		inst.setMaxLocks('foo', 2);
+		inst.setDeadlockPolicy('youngest');
+		var first = inst.acquire(['foo', 'bar']);
+		inst.acquire(['foo', 'bar'], function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+		});
+		inst.upgrade(first, 'foo', function(err) {
+			should.not.exist(err);
+			inst.getHolders('foo').should.eql([
+				{handle: first, mode: 'exclusive', group: null, weight: 1}
+			]);
+			done();
+		});
+	});
+	it("should fail an upgrade chosen to break a deadlock", function(done) {
+		inst.setMaxLocks('foo', 2);
+		inst.setDeadlockPolicy('lowestPriority');
+		var first = inst.acquire(['foo', 'bar'], {priority: 3}),
+			second = inst.acquire(['foo', 'bar']);
+		inst.upgrade(first, 'foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.DeadlockError);
+			inst.getRequest(first).held.should.eql(['foo', 'bar']);
+			inst.getRequest(second).pending.should.eql(['bar']);
+			done();
+		});
+	});
+	it("should limit the rate at which a semaphore is granted", function(done) {
+		var granted = [],
+			start = Date.now();
+		inst.setDefaultMaxLocks(10);
+		inst.setRateLimit('foo', {limit: 2, interval: 50});
+		inst.getRateLimit('foo').should.eql({limit: 2, interval: 50});
+		should.not.exist(inst.getRateLimit('bar'));
+		[1, 2, 3].forEach(function() {
+			inst.acquire('foo', function(err, release) {
+				should.not.exist(err);
+				granted.push(Date.now() - start);
+				release();
+				if (granted.length == 3) {
+					granted[1].should.be.below(25);
+					granted[2].should.be.within(45, 150);
+					done();
+				}
+			});
+		});
+	});
+	it("should grant rate limited requests in priority order", function(done) {
+		var order = [];
+		inst.setDefaultMaxLocks(10);
+		inst.setRateLimit('foo', {limit: 1, interval: 20});
+		inst.acquire('foo', function(err, release) { release(); });
+		inst.acquire('foo', {priority: 3}, function(err, release) {
+			order.push('low');
+			order.should.eql(['high', 'low']);
+			release();
+			done();
+		});
+		inst.acquire('foo', {priority: 1}, function(err, release) {
+			order.push('high');
+			release();
+		});
+	});
+	it("should apply wait and instant to rate limits", function(done) {
+		inst.setDefaultMaxLocks(10);
+		inst.setRateLimit('foo', {limit: 1, interval: 1000});
+		inst.acquire('foo');
+		inst.acquire('foo', {instant: true}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.InstantError);
+			inst.acquire('foo', {wait: 10}, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+				inst.setRateLimit('foo', null);
+				inst.acquire('foo', {instant: true}, function(err) {
+					should.not.exist(err);
+					done();
+				});
+			});
+		});
+	});
+	it("should reject invalid rate limits", function() {
+		(function() {
+			inst.setRateLimit('foo', {limit: 0, interval: 1000});
+		}).should.throw(/Invalid rate limit/);
+		(function() {
+			inst.setRateLimit('foo', {limit: 5});
+		}).should.throw(/Invalid rate limit/);
+	});
+	itSignals("should cancel a pending request when aborted", function(done) {
+		var controller = new AbortController(),
+			reason = new Error('stop');
+		inst.acquire('bar');
+		var handle = inst.acquire(['foo', 'bar'], {signal: controller.signal},
+			function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.AbortError);
+				err.reason.should.equal(reason);
+				inst.getLocks().should.eql({bar: 1});
+				inst.getQueue('bar').should.eql([]);
+				done();
+			});
+		inst.getRequest(handle).held.should.eql(['foo']);
+		controller.abort(reason);
+	});
+	itSignals("should fail a request already aborted", function(done) {
+		var controller = new AbortController();
+		controller.abort();
+		inst.acquire('foo', {signal: controller.signal}, function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.AbortError);
+			inst.getLocks().should.eql({});
+			done();
+		});
+	});
+	itSignals("should ignore a signal once granted", function(done) {
+		var controller = new AbortController();
+		var opts = {signal: controller.signal};
+		inst.acquire('foo', opts, function(err, release) {
+			should.not.exist(err);
+			controller.abort();
+			inst.getLocks().should.eql({foo: 1});
+			release();
+			done();
+		});
+	});
+	itSignals("should abort the holder's signal at its TTL", function(done) {
+		inst.acquire('foo', {ttl: 10}, function(err, release) {
+			should.not.exist(err);
+			release.signal.aborted.should.equal(false);
+			release.signal.addEventListener('abort', function() {
+				release.signal.reason.should.be.an.instanceOf(
+					semlocks.errors.ExpiredError);
+				inst.getLocks().should.eql({});
+				done();
+			});
+		});
+		inst.acquire('bar', function(err, release) {
+			should.not.exist(release.signal);
+			release();
+		});
+	});
+	it("should push back the TTL when extended", function(done) {
+		var killed = false;
+		inst.acquire('foo', {ttl: 10}, function(err, release) {
+			should.not.exist(err);
+			setTimeout(function() {
+				release.extend(30).should.equal(true);
+			}, 5);
+			setTimeout(function() {
+				killed.should.equal(false);
+				inst.getRequest(0).ttlRemaining.should.be.within(1, 20);
+				release();
+				done();
+			}, 20);
+		});
+		inst.on('killed', function() {
+			killed = true;
+		});
+	});
+	it("should not extend requests without a TTL", function(done) {
+		inst.extend(0).should.equal(false);
+		inst.acquire('foo', function(err, release) {
+			should.not.exist(err);
+			release.extend(10).should.equal(false);
+			release.renew().should.equal(false);
+			release();
+			done();
+		});
+	});
+	it("should kill locks whose heartbeat is missed", function(done) {
+		var handle = inst.acquire(['foo', 'bar'], {heartbeat: 10},
+			function(err, release) {
+				should.not.exist(err);
+				release('bar');
+				if (typeof AbortController != 'function')
+					return;
+				release.signal.addEventListener('abort', function() {
+					release.signal.reason.should.be.an.instanceOf(
+						semlocks.errors.ExpiredError);
+				});
+			});
+		inst.on('killed', function(killed, sems, reason) {
+			killed.should.equal(handle);
+			sems.should.eql(['foo']);
+			reason.should.equal('heartbeat');
+			inst.getLocks().should.eql({});
+			done();
+		});
+	});
+	it("should keep locks alive while they're renewed", function(done) {
+		var killed = false,
+			beats = 0;
+		inst.acquire('foo', {heartbeat: 10}, function(err, release) {
+			var interval = setInterval(function() {
+				release.renew().should.equal(true);
+				if (++beats == 4) {
+					clearInterval(interval);
+					killed.should.equal(false);
+					inst.getRequest(0).heartbeat.should.equal(10);
+					release();
+					done();
+				}
+			}, 5);
+		});
+		inst.on('killed', function() {
+			killed = true;
+		});
+	});
+	it("should emit queued and granted events with metadata", function(done) {
+		var events = [];
+		['queued', 'granted'].forEach(function(event) {
+			inst.on(event, function(info) {
+				events.push([event, info.handle, info.meta]);
+			});
+		});
+		inst.acquire('foo', {meta: {job: 1}}, function(err, release) {
+			setImmediate(release);
+		});
+		inst.acquire('foo', {priority: 1}, function(err, release) {
+			events.should.eql([
+				['queued', 1, null],
+				['granted', 0, {job: 1}],
+				['granted', 1, null]
+			]);
+			release();
+			done();
+		});
+		inst.getRequest(1).pending.should.eql(['foo']);
+	});
+	it("should emit timeout events", function(done) {
+		inst.acquire('foo', function() {});
+		inst.acquire('foo', {wait: 5, meta: 'bar'});
+		inst.on('timeout', function(info) {
+			info.handle.should.equal(1);
+			info.sems.should.eql(['foo']);
+			info.meta.should.equal('bar');
+			info.age.should.be.above(3);
+			info.error.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+			done();
+		});
+	});
+	it("should emit rejected events for failed requests", function(done) {
+		inst.acquire('foo', function() {});
+		inst.acquire('foo', {instant: true});
+		inst.on('rejected', function(info) {
+			info.handle.should.equal(1);
+			info.error.should.be.an.instanceOf(semlocks.errors.InstantError);
+			done();
+		});
+	});
+	it("should emit released events with the last lock", function(done) {
+		var events = [];
+		inst.on('release', function(sem) {
+			events.push(sem);
+		});
+		inst.on('released', function(info) {
+			events.push(info.handle);
+		});
+		inst.acquire(['foo', 'bar'], function(err, release) {
+			release('foo');
+			events.should.eql(['foo']);
+			release('bar');
+			events.should.eql(['foo', 'bar', 0]);
+			done();
+		});
+	});
+	it("should emit released events after killed events", function(done) {
+		var events = [];
+		inst.on('killed', function(handle) {
+			should.exist(inst.getRequest(handle));
+			events.push('killed');
+		});
+		inst.on('released', function(info) {
+			should.not.exist(inst.getRequest(info.handle));
+			events.push('released');
+			events.should.eql(['killed', 'released']);
+			done();
+		});
+		inst.acquire('foo', {ttl: 5});
+	});
+	it("should emit canceled events", function(done) {
+		var handle = inst.acquire('foo', {priority: 4}, function() {});
+		inst.on('canceled', function(info) {
+			info.handle.should.equal(handle);
+			info.priority.should.equal(4);
+			info.granted.should.equal(true);
+			should.not.exist(info.error);
+			done();
+		});
+		setImmediate(function() {
+			inst.cancel(handle);
+		});
+	});
+	it("should emit forceReleased events for each holder", function(done) {
+		var handles = [];
+		inst.setMaxLocks('foo', 2);
+		inst.acquire(['foo', 'bar']);
+		inst.acquire('foo');
+		inst.on('forceReleased', function(info) {
+			info.semaphore.should.equal('foo');
+			info.held.indexOf('foo').should.be.above(-1);
+			handles.push(info.handle);
+		});
+		inst.forceRelease('foo');
+		handles.should.eql([0, 1]);
+		inst.getLocks().should.eql({bar: 1});
+		done();
+	});
+	it("should emit capChanged events when a max changes", function() {
+		var changes = [];
+		inst.on('capChanged', function(change) {
+			change.time.should.be.a.Number;
+			changes.push([change.semaphore, change.previous, change.max]);
+		});
+		inst.setMaxLocks('foo', 3);
+		inst.setMaxLocks('foo', 3);
+		inst.setDefaultMaxLocks(2);
+		inst.setMaxLocks('foo', null);
+		changes.should.eql([['foo', 1, 3], [null, 1, 2], ['foo', 3, 2]]);
+	});
+	it("should apply defaults passed to the constructor", function(done) {
+		var custom = new semlocks.Semlocks({
+			defaultMaxLocks: 2,
+			maxLocks: {foo: 3},
+			priority: 1,
+			wait: 5,
+			ttl: 1000,
+			deadlockPolicy: 'youngest',
+			priorityAging: {rate: 1000},
+			handleLimit: 3
+		});
+		custom.getMaxLocks().should.equal(2);
+		custom.getMaxLocks('foo').should.equal(3);
+		custom.getDeadlockPolicy().should.equal('youngest');
+		custom.getPriorityAging().rate.should.equal(1000);
+		custom.acquire('bar', {priority: 3});
+		custom.acquire('bar', {ttl: null});
+		custom.getRequest(0).priority.should.equal(3);
+		custom.getRequest(1).priority.should.equal(1);
+		should.not.exist(custom.getRequest(1).ttl);
+		custom.acquire('bar', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+			custom.release(0);
+			custom.acquire('baz', {ttl: null}).should.equal(0);
+			done();
+		}).should.equal(2);
+	});
+	it("should never reuse unique handles", function(done) {
+		var unique = new semlocks.Semlocks({handleLimit: 1,
+			uniqueHandles: true});
+		unique.acquire('foo', function(err, release) {
+			release().should.be.true;
+			unique.acquire('foo', function(err, next) {
+				release().should.be.false;
+				unique.cancel(0).should.be.false;
+				unique.getLocks().should.eql({foo: 1});
+				next().should.be.true;
+				done();
+			}).should.equal(1);
+		}).should.equal(0);
+	});
+	it("should report whether release and cancel did anything", function() {
+		inst.acquire(['foo', 'bar']);
+		inst.release(0, 'baz').should.be.false;
+		inst.release(0, 'foo').should.be.true;
+		inst.release(0, ['foo', 'bar']).should.be.true;
+		inst.release(0).should.be.false;
+		inst.acquire('foo');
+		inst.cancel(1).should.be.true;
+		inst.cancel(1).should.be.false;
+	});
+	it("should reject an invalid handle limit", function() {
+		(function() {
+			new semlocks.Semlocks({handleLimit: 0});
+		}).should.throw('Invalid handle limit: 0');
+	});
+	it("should share named instances through the registry", function() {
+		var first = semlocks.get('registryTest', {defaultMaxLocks: 3});
+		first.should.be.an.instanceOf(semlocks.Semlocks);
+		semlocks.Semlocks.get('registryTest').should.equal(first);
+		semlocks.get('registryTest', {defaultMaxLocks: 5}).getMaxLocks()
+			.should.equal(3);
+		semlocks.get('registryOther').should.not.equal(first);
+		(function() {
+			semlocks.get('');
+		}).should.throw('Invalid instance name: ');
+	});
+	it("should serialize settings and open requests", function() {
+		var state;
+		inst.setMaxLocks('foo', 2);
+		inst.setRateLimit('bar', {limit: 5, interval: 1000});
+		inst.setGroupMaxLocks('foo', 'tenant', 1);
+		inst.acquire('foo', {meta: 'first'});
+		inst.acquire('foo', {group: 'tenant'});
+		inst.acquire('foo', {priority: 3});
+		state = JSON.parse(inst.serialize());
+		state.version.should.equal(semlocks.STATE_VERSION);
+		state.maxLocks.should.eql({foo: 2});
+		state.rateLimits.should.eql({bar: {limit: 5, interval: 1000}});
+		state.groupMaxLocks.should.eql({foo: {tenant: 1}});
+		state.requests.map(function(req) {
+			return [req.handle, req.held, req.pending, req.meta];
+		}).should.eql([
+			[0, ['foo'], [], 'first'],
+			[1, ['foo'], [], null],
+			[2, [], ['foo'], null]
+		]);
+	});
+	it("should restore serialized settings", function() {
+		var restored = new semlocks.Semlocks();
+		inst.setDefaultMaxLocks(3);
+		inst.setMaxLocks('foo', 2);
+		inst.setDeadlockPolicy('youngest');
+		inst.setSeparator('.');
+		inst.setPriorityAging(2, 1);
+		inst.setFairQueueing('foo', true);
+		inst.setGroupWeight('tenant', 4);
+		inst.setDefaultMaxQueue(10);
+		inst.setMaxQueue('foo', 5, 'dropOldest');
+		restored.restore(inst.serialize()).should.eql({});
+		restored.getMaxLocks().should.equal(3);
+		restored.getMaxLocks('foo').should.equal(2);
+		restored.getDeadlockPolicy().should.equal('youngest');
+		restored.getSeparator().should.equal('.');
+		restored.getPriorityAging().should.eql({rate: 2, floor: 1});
+		restored.getFairQueueing('foo').should.equal(true);
+		restored.getGroupWeight('tenant').should.equal(4);
+		restored.getMaxQueue().should.eql({max: 10, policy: 'reject'});
+		restored.getMaxQueue('foo').should.eql({max: 5, policy: 'dropOldest'});
+	});
+	it("should restore unlimited maxes", function() {
+		var restored = new semlocks.Semlocks();
+		inst.setDefaultMaxLocks(Infinity);
+		inst.setMaxLocks('foo', Infinity);
+		inst.setGroupMaxLocks('foo', 'tenant', Infinity);
+		inst.setMaxQueue('foo', Infinity);
+		restored.restore(inst.serialize());
+		restored.getMaxLocks().should.equal(Infinity);
+		restored.getMaxLocks('foo').should.equal(Infinity);
+		restored.getGroupMaxLocks('foo', 'tenant').should.equal(Infinity);
+		restored.getMaxQueue('foo').max.should.equal(Infinity);
+		restored.acquire('bar');
+		restored.acquire('bar');
+		restored.getLocks().should.eql({bar: 2});
+	});
+	it("should requeue restored requests", function(done) {
+		var restored = new semlocks.Semlocks(),
+			handles;
+		inst.setDefaultMaxLocks(2);
+		inst.acquire('foo', {mode: 'exclusive'});
+		inst.acquire({foo: 1, bar: 2}, {meta: 'second'});
+		inst.acquire('baz');
+		setImmediate(function() {
+			handles = restored.restore(inst.serialize(), {
+				requeue: function(req) {
+					if (req.handle == 2)
+						return false;
+					if (req.meta == 'second') {
+						return function(err, release) {
+							restored.getRequest(handles[1]).held.should.eql(
+								['foo', 'bar']);
+							release();
+							done();
+						};
+					}
+				}
+			});
+			handles.should.eql({0: 0, 1: 1});
+			restored.getRequest(0).mode.should.equal('exclusive');
+			restored.getRequest(1).pending.should.eql(['foo']);
+			restored.getLocks().should.eql({foo: 1, bar: 2});
+			restored.release(0);
+		});
+	});
+	it("should reject states in an unknown format", function() {
+		(function() {
+			inst.restore({version: 0});
+		}).should.throw('Unsupported state version: 0');
+	});
+	it("should release a lock while waiting on a condition", function(done) {
+		var items = [];
+		inst.acquire('queue', function(err, release) {
+			release.wait('queue', function(err) {
+				should.not.exist(err);
+				inst.getHolders('queue').length.should.equal(1);
+				items.should.eql(['job']);
+				release();
+				inst.getLocks().should.eql({});
+				done();
+			});
+			inst.getLocks().should.eql({});
+			inst.getRequest(0).waiting.should.eql(['queue']);
+			inst.acquire('queue', function(err, release) {
+				items.push('job');
+				inst.notify('queue').should.equal(1);
+				inst.getRequest(0).pending.should.eql(['queue']);
+				release();
+			});
+		});
+	});
+	it("should wake waiters in the order they started waiting", function(done) {
+		var woken = [];
+		inst.setMaxLocks('foo', 3);
+		[0, 1, 2].forEach(function(i) {
+			inst.acquire('foo', {atomic: true}, function(err, release) {
+				release.wait('foo', function(err) {
+					should.not.exist(err);
+					woken.push(i);
+					release();
+				});
+			});
+		});
+		setImmediate(function() {
+			inst.notify('foo').should.equal(1);
+			inst.notifyAll('foo').should.equal(2);
+			inst.notifyAll('foo').should.equal(0);
+			setImmediate(function() {
+				woken.should.eql([0, 1, 2]);
+				done();
+			});
+		});
+	});
+	it("should keep named conditions apart", function(done) {
+		inst.acquire('foo', function(err, release) {
+			release.wait('foo', {condition: 'full'}, function(err) {
+				should.not.exist(err);
+				release();
+				done();
+			});
+			inst.notify('foo').should.equal(0);
+			inst.notify('foo', 'empty').should.equal(0);
+			inst.notify('foo', 'full').should.equal(1);
+		});
+	});
+	it("should re-acquire the lock when a wait times out", function(done) {
+		inst.acquire('foo', function(err, release) {
+			release.wait('foo', {wait: 5}, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+				inst.getHolders('foo').length.should.equal(1);
+				release();
+				done();
+			});
+		});
+	});
+	it("should fail a wait when its lock is released", function(done) {
+		inst.acquire(['foo', 'bar'], function(err, release) {
+			release.wait('foo', function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.CanceledError);
+				should.not.exist(inst.getRequest(0));
+				inst.notify('foo').should.equal(0);
+				done();
+			});
+			release();
+		});
+	});
+	it("should forget conditions once nothing waits on them", function(done) {
+		inst.acquire(['foo', 'bar'], function(err, release) {
+			release.wait('foo', {condition: 'full'});
+			release.wait('bar', {wait: 1}, function(err) {
+				err.should.be.an.instanceOf(semlocks.errors.TimeoutError);
+				inst._conditions.should.eql({foo: {full: [
+					inst._reqs.get(0).waits.foo
+				]}});
+				inst.notify('foo', 'full').should.equal(1);
+				inst._conditions.should.eql({});
+				release();
+				done();
+			});
+		});
+	});
+	it("should re-acquire upgraded locks exclusively", function(done) {
+		var modes = [];
+		inst.on('acquire', function(sem, handle, mode) {
+			modes.push(mode);
+		});
+		inst.acquire('foo', function(err, release) {
+			release.upgrade('foo', function(err) {
+				should.not.exist(err);
+				release.wait('foo', function(err) {
+					should.not.exist(err);
+					modes.should.eql(['shared', 'exclusive', 'exclusive']);
+					release();
+					done();
+				});
+				inst.notify('foo');
+			});
+		});
+	});
+	it("should fail a wait for a semaphore not held", function(done) {
+		inst.wait(0, 'foo', function(err) {
+			err.message.should.equal('Semaphore not held: foo');
+			done();
+		});
+	});
+	it("should stop leases when canceled while waiting", function(done) {
+		var killed = 0;
+		inst.on('killed', function() {
+			killed++;
+		});
+		[{ttl: 20}, {heartbeat: 20}].forEach(function(opts) {
+			var handle = inst.acquire('foo', opts, function(err, release) {
+				release.wait('foo');
+				setImmediate(function() {
+					inst.cancel(handle).should.equal(true);
+				});
+			});
+		});
+		setTimeout(function() {
+			killed.should.equal(0);
+			done();
+		}, 50);
+	});
+	it("should capture traces with leak detection", function(done) {
+		should.not.exist(inst.getLeakDetection());
+		inst.setLeakDetection(true);
+		inst.getLeakDetection().should.eql({threshold: null, strict: false,
+			console: false});
+		inst.acquire('foo');
+		inst.acquire('foo', function(err, release) {
+			var trace = inst.getRequest(1).trace;
+			trace.grantedAt.should.be.a.Number;
+			trace.grantStack.should.match(/test.Semlocks/);
+			release();
+			done();
+		});
+		inst.getRequest(0).trace.acquireStack.should.match(/test.Semlocks/);
+		inst.getRequest(0).trace.acquireStack.should.not.match(/lib.Semlocks/);
+		should.not.exist(inst.getRequest(1).trace.grantedAt);
+		should.not.exist(inst.getRequest(1).trace.grantStack);
+		inst.release(0);
+	});
+	it("should report locks held past the leak threshold", function(done) {
+		inst.setLeakDetection({threshold: 10});
+		inst.on('leak', function(info) {
+			info.reason.should.equal('threshold');
+			info.held.should.eql(['foo']);
+			info.trace.acquireStack.should.be.a.String;
+			inst.release(info.handle);
+			done();
+		});
+		inst.acquire('foo', function() {});
+	});
+	it("should not report locks released in time", function(done) {
+		inst.setLeakDetection({threshold: 10});
+		inst.on('leak', function() {
+			throw new Error('Leak reported');
+		});
+		inst.acquire('foo', function(err, release) {
+			setTimeout(release, 5);
+		});
+		setTimeout(done, 20);
+	});
+	it("should report async callbacks that don't release", function(done) {
+		var reported = [];
+		inst.setLeakDetection(true);
+		inst.on('leak', function(info) {
+			reported.push(info.handle);
+		});
+		inst.acquire('foo', function() {
+			return Promise.resolve();
+		});
+		inst.acquire('bar', function(err, release) {
+			return Promise.resolve().then(release);
+		});
+		inst.acquire('baz', function() {});
+		setTimeout(function() {
+			reported.should.eql([0]);
+			done();
+		}, 10);
+	});
+	it("should report sync callbacks in strict leak detection", function(done) {
+		inst.setLeakDetection({strict: true});
+		inst.on('leak', function(info) {
+			info.reason.should.equal('unreleased');
+			info.handle.should.equal(1);
+			done();
+		});
+		inst.acquire('foo', function(err, release) {
+			release();
+		});
+		inst.acquire('bar', function() {});
+	});
+	it("should warn on the console about leaks", function(done) {
+		var warn = console.warn,
+			warnings = [];
+		console.warn = function(msg) {
+			warnings.push(msg);
+		};
+		inst.setLeakDetection({strict: true, console: true});
+		inst.acquire('foo', function() {
+			setImmediate(function() {
+				console.warn = warn;
+				warnings.length.should.equal(1);
+				warnings[0].should.match(/^Semlocks: request 0 finished/);
+				warnings[0].should.match(/Acquired at:\n.*test.Semlocks/);
+				done();
+			});
+		});
+	});
+	it("should reject invalid leak thresholds", function() {
+		(function() {
+			inst.setLeakDetection({threshold: -1});
+		}).should.throw('Invalid leak threshold: -1');
+		inst.setLeakDetection({threshold: 5});
+		inst.setLeakDetection(null);
+		should.not.exist(inst.getLeakDetection());
+	});
+	it("should reject requests arriving at a full queue", function(done) {
+		inst.setMaxQueue('foo', 1);
+		inst.acquire('foo', function() {});
+		inst.acquire('foo', function() {
+			done(new Error('Waiting request was granted'));
+		});
+		inst.acquire('foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.QueueFullError);
+			err.sem.should.equal('foo');
+			inst.getQueue('foo').map(function(queued) {
+				return queued.handle;
+			}).should.eql([1]);
+			done();
+		});
+	});
+	it("should drop the lowest priority request", function(done) {
+		var errs = [];
+		inst.setMaxQueue('foo', 2, 'dropLowestPriority');
+		inst.acquire('foo', function() {});
+		[3, 1, 2, 5].forEach(function(priority) {
+			inst.acquire('foo', {priority: priority}, function(err) {
+				errs.push([priority, err]);
+			});
+		});
+		setImmediate(function() {
+			errs.map(function(failed) {
+				failed[1].should.be.an.instanceOf(
+					semlocks.errors.QueueFullError);
+				return failed[0];
+			}).should.eql([3, 5]);
+			inst.getQueue('foo').map(function(queued) {
+				return queued.priority;
+			}).should.eql([1, 2]);
+			done();
+		});
+	});
+	it("should drop the oldest request from a full queue", function(done) {
+		inst.setMaxQueue('foo', 1, 'dropOldest');
+		inst.acquire('foo', function() {});
+		inst.acquire('foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.QueueFullError);
+			inst.getQueue('foo').map(function(queued) {
+				return queued.handle;
+			}).should.eql([2]);
+			done();
+		});
+		inst.acquire('foo', function() {
+			done(new Error('Newest request was granted'));
+		});
+	});
+	it("should emit saturated and drained events", function(done) {
+		var events = [];
+		inst.on('saturated', function(sem, max) {
+			events.push(['saturated', sem, max]);
+		});
+		inst.on('drained', function(sem) {
+			events.push(['drained', sem]);
+		});
+		inst.setMaxQueue('foo', 1);
+		inst.acquire('foo', function(err, release) {
+			release();
+		});
+		inst.acquire('foo', function(err, release) {
+			events.should.eql([['saturated', 'foo', 1], ['drained', 'foo']]);
+			release();
+			done();
+		});
+		events.should.eql([['saturated', 'foo', 1]]);
+	});
+	it("should apply a default queue limit", function(done) {
+		var custom = new semlocks.Semlocks({
+			defaultMaxQueue: {max: 0},
+			maxQueue: {bar: {max: 1, policy: 'dropOldest'}}
+		});
+		custom.getMaxQueue().should.eql({max: 0, policy: 'reject'});
+		custom.getMaxQueue('foo').should.eql({max: 0, policy: 'reject'});
+		custom.getMaxQueue('bar').should.eql({max: 1, policy: 'dropOldest'});
+		custom.setMaxQueue('bar', null);
+		custom.getMaxQueue('bar').should.eql({max: 0, policy: 'reject'});
+		custom.acquire('foo');
+		custom.acquire('foo', function(err) {
+			err.should.be.an.instanceOf(semlocks.errors.QueueFullError);
+			custom.setDefaultMaxQueue(null);
+			should.not.exist(custom.getMaxQueue('foo'));
+			done();
+		});
+	});
+	it("should reject invalid queue limits", function() {
+		(function() {
+			inst.setMaxQueue('foo', -1);
+		}).should.throw('Invalid max queue: -1');
+		(function() {
+			inst.setDefaultMaxQueue(1, 'foo');
+		}).should.throw('Unknown queue policy: foo');
+		should.not.exist(inst.getMaxQueue('foo'));
+	});
 });
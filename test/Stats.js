@@ -0,0 +1,60 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	Stats = semlocks.Stats,
+	stats;
+
+describe("Stats", function() {
+	beforeEach(function() {
+		stats = new Stats();
+	});
+	it("should report zeros for unknown semaphores", function() {
+		var foo = stats.get('foo');
+		foo.requests.should.equal(0);
+		foo.maxQueueDepth.should.equal(0);
+		foo.waitTime.count.should.equal(0);
+		stats.get().should.eql({});
+	});
+	it("should count events", function() {
+		stats.increment('foo', 'requests');
+		stats.increment('foo', 'requests');
+		stats.increment('bar', 'timeouts');
+		stats.get('foo').requests.should.equal(2);
+		stats.get('bar').timeouts.should.equal(1);
+		Object.keys(stats.get()).sort().should.eql(['bar', 'foo']);
+	});
+	it("should count observations into buckets", function() {
+		stats.observe('foo', 'waitTime', 3);
+		stats.observe('foo', 'waitTime', 30);
+		var hist = stats.get('foo').waitTime;
+		hist.count.should.equal(2);
+		hist.sum.should.equal(33);
+		hist.max.should.equal(30);
+		hist.buckets[1].should.equal(0);
+		hist.buckets[5].should.equal(1);
+		hist.buckets[50].should.equal(2);
+		hist.buckets[10000].should.equal(2);
+	});
+	it("should track the deepest queue", function() {
+		stats.queued('foo', 3);
+		stats.queued('foo', 1);
+		stats.get('foo').maxQueueDepth.should.equal(3);
+	});
+	it("should return copies", function() {
+		stats.increment('foo', 'grants');
+		stats.get('foo').grants = 5;
+		stats.get('foo').grants.should.equal(1);
+	});
+	it("should reset one or all semaphores", function() {
+		stats.increment('foo', 'grants');
+		stats.increment('bar', 'grants');
+		stats.reset('foo');
+		Object.keys(stats.get()).should.eql(['bar']);
+		stats.reset();
+		stats.get().should.eql({});
+	});
+});
@@ -0,0 +1,50 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+var should = require('should'),
+	semlocks = require('../lib/Semlocks'),
+	Stats = semlocks.Stats,
+	toPrometheus = semlocks.toPrometheus,
+	stats;
+
+describe("toPrometheus", function() {
+	beforeEach(function() {
+		stats = new Stats();
+	});
+	it("should format counters and gauges", function() {
+		stats.increment('foo', 'requests');
+		stats.queued('foo', 2);
+		var text = toPrometheus(stats.get());
+		text.should.containEql('# TYPE semlocks_requests_total counter\n');
+		text.should.containEql('semlocks_requests_total{semaphore="foo"} 1\n');
+		text.should.containEql('semlocks_timeouts_total{semaphore="foo"} 0\n');
+		text.should.containEql('semlocks_max_queue_depth{semaphore="foo"} 2\n');
+	});
+	it("should format histograms in seconds", function() {
+		stats.observe('foo', 'holdTime', 20);
+		var text = toPrometheus(stats.get());
+		text.should.containEql('# TYPE semlocks_hold_seconds histogram\n');
+		text.should.containEql(
+			'semlocks_hold_seconds_bucket{semaphore="foo",le="0.01"} 0\n');
+		text.should.containEql(
+			'semlocks_hold_seconds_bucket{semaphore="foo",le="0.025"} 1\n');
+		text.should.containEql(
+			'semlocks_hold_seconds_bucket{semaphore="foo",le="+Inf"} 1\n');
+		text.should.containEql(
+			'semlocks_hold_seconds_sum{semaphore="foo"} 0.02\n');
+		text.should.containEql(
+			'semlocks_hold_seconds_count{semaphore="foo"} 1\n');
+	});
+	it("should escape semaphore names", function() {
+		stats.increment('a"b\\c', 'grants');
+		toPrometheus(stats.get()).should.containEql(
+			'semlocks_grants_total{semaphore="a\\"b\\\\c"} 1\n');
+	});
+	it("should use a custom prefix", function() {
+		stats.increment('foo', 'grants');
+		toPrometheus(stats.get(), 'app_locks').should.containEql(
+			'app_locks_grants_total{semaphore="foo"} 1\n');
+	});
+});
@@ -0,0 +1,11 @@
+/*
+ * Semlocks
+ * Copyright 2014 Tom Frost
+ */
+
+/**
+ * Defines a test that uses AbortController, which is not available before
+ * Node.js 15.  On older versions, the test is skipped.
+ * @type {function}
+ */
+module.exports.itSignals = typeof AbortController == 'function' ? it : it.skip;